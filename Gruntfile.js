@@ -15,10 +15,10 @@ module.exports = function (grunt) {
 
     // define a src set of files for other tasks
     src: {
-      lint: ['Gruntfile.js', 'index.js', 'test/*.js'],
-      complexity: ['index.js'],
+      lint: ['Gruntfile.js', 'index.js', 'lib/**/*.js', 'bin/*', 'test/*.js'],
+      complexity: ['index.js', 'lib/**/*.js'],
       test: ['test/*.js'],
-      src: ['index.js']
+      src: ['index.js', 'lib/**/*.js']
     },
     
     // clean automatically generated helper files & docs
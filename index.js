@@ -27,15 +27,116 @@
 // ext. libs
 var Q = require('q');
 var os = require('os');
-var cp = require('child_process');
-var appium = require('appium/lib/server/main');
-var portscanner = require('portscanner');
+
+// int. libs
+var backends = {
+  inprocess: require('./lib/backends/inprocess'),
+  binary: require('./lib/backends/binary'),
+  remote: require('./lib/backends/remote'),
+  stub: require('./lib/backends/stub')
+};
+var AppiumLog = require('./lib/log');
+var WebhookServer = require('./lib/webhook');
+var terminator = require('./lib/terminator');
+var errors = require('./lib/errors');
+var profiles = require('./lib/profiles');
+var browserType = require('./lib/browsertype');
+var schema = require('./lib/schema');
+var resolver = require('./lib/config');
+var PortAllocator = require('./lib/ports');
+var ProcessInspector = require('./lib/inspector');
+var StateFile = require('./lib/state');
+var Readiness = require('./lib/readiness');
+var Watchdog = require('./lib/watchdog');
+var Metrics = require('./lib/metrics');
+var webdriver = require('./lib/webdriver');
+var CleanupHooks = require('./lib/cleanup');
+var UserHooks = require('./lib/hooks');
+var claims = require('./lib/claims');
+var DeviceEvents = require('./lib/events');
+var daemon = require('./lib/daemon');
+var Doctor = require('./lib/doctor');
+var sdk = require('./lib/sdk');
+var exec = require('./lib/exec');
+
+/**
+ * Number of runs this process started,
+ * every launch gets its own number
+ *
+ * @property runs
+ * @type integer
+ * @private
+ */
+
+var runs = 0;
+
+/**
+ * Deep copies plain objects & arrays,
+ * so that instances never share their options
+ *
+ * @method copy
+ * @param {mixed} value Value to copy
+ * @return {mixed} Copy
+ * @private
+ */
+
+var copy = function (value) {
+  if (Array.isArray(value)) {
+    return value.map(copy);
+  }
+
+  if (value && Object.prototype.toString.call(value) === '[object Object]') {
+    var result = {};
+    Object.keys(value).forEach(function (key) {
+      result[key] = copy(value[key]);
+    });
+    return result;
+  }
+
+  return value;
+};
+
+/**
+ * Options the Dalek driver reads before the launch
+ * & keeps references to
+ *
+ * @property shared
+ * @type array
+ * @private
+ */
+
+var shared = ['desiredCapabilities', 'driverDefaults'];
+
+/**
+ * Replaces the contents of an object in place, the Dalek driver
+ * keeps a reference to the desired capabilities (& driver defaults)
+ * it got before the launch
+ *
+ * @method replace
+ * @param {object} target Object to update
+ * @param {object} source New contents
+ * @return {object} Target
+ * @private
+ */
+
+var replace = function (target, source) {
+  Object.keys(target).forEach(function (key) {
+    delete target[key];
+  });
+
+  Object.keys(source).forEach(function (key) {
+    target[key] = source[key];
+  });
+
+  return target;
+};
 
 /**
  * This module is a browser plugin for [DalekJS](//github.com/dalekjs/dalek).
  * It provides all a WebDriverServer & browser launcher for Safari on iOS.
  * 
- * At the moment this only works with the IPhone 
+ * It runs the iPhone & the iPad simulator (see the device profiles below),
+ * several devices can be tested in one Dalek run.
  *
  * The browser plugin can be installed with the following command:
  *
@@ -77,21 +178,399 @@ var portscanner = require('portscanner');
  * }
  * ```
  *
+ * Appium sends its log messages to a small webhook server the plugin starts on port 9003
+ * (or the next free port). The webhook port can be configured the same way:
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "webhookPortRange": [6200, 6220]
+ *   }
+ * }
+ * ```
+ *
+ * Appium & the webhook server listen on `localhost`, use `host` if they should be reached
+ * on another interface (f.e. `"host": "127.0.0.1"`).
+ *
+ * The Appium & webhook ports are reserved with lock files in your temp directory,
+ * so that parallel Dalek runs on the same machine never pick the same ports.
+ * The reservations are released when the tests are done, you can change the
+ * directory of the lock files with the `portLockDir` option.
+ *
+ * When the tests are done, the plugin kills the simulator processes it started.
+ * It knows the simulator names of the different Xcode versions, if your simulator
+ * is named differently, you can tell the plugin how to find it:
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "simulatorProcesses": ["Simulator.app", "iOS Simulator.app"]
+ *   }
+ * }
+ * ```
+ *
+ * The plugin keeps track of the ports & processes of a run in a state file (in your temp directory).
+ * If Dalek crashes or gets interrupted, the next run finds the state file & kills
+ * the processes that have been left behind. If you would rather like to get a warning, use:
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "orphans": "warn",
+ *     "stateDir": "/var/tmp/dalek-ios"
+ *   }
+ * }
+ * ```
+ *
+ * If you hit Ctrl+C or an exception escapes during a run, the plugin still shuts down
+ * Appium & the simulator before the process exits (hit Ctrl+C twice to skip that).
+ *
  * If you would like to test on the IPad (IPhone) emulator, you can simply apply a snd. argument,
  * which defines the browser type:
  *
  * ```bash
  * $ dalek mytest.js -b ios:ipad
  * ```
+ *
+ * The browser type is the name of a device profile. The plugin ships with the profiles
+ * `iphone` (default), `iphone4s`, `iphone5`, `ipad`, `ipadretina` & `ipadair`.
+ * Each profile defines the device, iOS version, orientation, locale & language.
+ * You can add your own profiles (or change the built in ones) in your Dalekfile,
+ * properties you leave out are taken from the built in profile with the same name (or the `iphone` one):
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "profiles": {
+ *       "ipadair": {"orientation": "landscape"},
+ *       "germanphone": {
+ *         "device": "iphone",
+ *         "deviceName": "iPhone 5",
+ *         "version": "7.1",
+ *         "orientation": "portrait",
+ *         "locale": "de_DE",
+ *         "language": "de"
+ *       }
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * ```bash
+ * $ dalek mytest.js -b ios:germanphone
+ * ```
+ *
+ * The iOS version, orientation & locale of a profile can be overridden on the command line,
+ * which comes in handy if you would like to define a CI test matrix:
+ *
+ * ```bash
+ * $ dalek mytest.js -b ios:ipad@7.1:landscape
+ * $ dalek mytest.js -b ios:iphone@8.0:portrait:de_DE
+ * ```
+ *
+ * The plugin looks up the installed simulator SDKs (`xcodebuild -showsdks`, `xcrun simctl list runtimes`
+ * & `instruments -s devices`). Unless the profile asks for a specific version, it runs the newest one.
+ * Instead of an exact version, you can ask for the newest SDK of a major version or the newest one overall,
+ * if there is no matching SDK, the launch fails with a list of the installed ones:
+ *
+ * ```bash
+ * $ dalek mytest.js -b ios:iphone@7.x
+ * $ dalek mytest.js -b ios:ipad@latest
+ * ```
+ *
+ * If there is already an Appium server running somewhere else (f.e. on a shared Mac),
+ * you can tell the plugin to use this one instead of booting its own:
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "remote": {
+ *       "host": "mac-mini.local",
+ *       "port": 4723,
+ *       "path": "/wd/hub"
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * The plugin then checks if the server is reachable before the tests start &
+ * only ends the sessions it opened itself when the tests are done.
+ * As the plugin can not look up the SDKs of a remote Mac, it only sends exact versions,
+ * `latest` & `7.x` leave the choice to the remote Appium.
+ *
+ * By default, the plugin runs the Appium version it ships with inside of the Dalek process.
+ * If you would like to use another Appium installation, you can tell the plugin
+ * to spawn an Appium executable instead. The `appiumArgs` will be passed
+ * as command line arguments (`"forceIpad": true` becomes `--force-ipad`):
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "backend": "binary",
+ *     "appiumBinary": "/usr/local/bin/appium",
+ *     "appiumArgs": {
+ *       "nativeInstrumentsLib": true
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * On hosts without the iOS simulator (f.e. a Linux CI box), the `stub` backend starts a fake
+ * WebDriver server with canned responses (sessions, navigation, elements & screenshots) instead of Appium.
+ * It takes the same ports & runs through the same lifecycle events & kill logic,
+ * so that setups & reporters can be tested without a Mac:
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "backend": "stub"
+ *   }
+ * }
+ * ```
+ *
+ * Appiums log output is forwarded to the reporter as browser log messages.
+ * By default, only warnings & errors are shown, you can change the minimum level
+ * (debug, info, warn, error) & write the complete log to a file:
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "logLevel": "info",
+ *     "logFile": "appium.log"
+ *   }
+ * }
+ * ```
+ *
+ * When the tests are done, the plugin asks Appium & the simulator to quit &
+ * kills them if they are still running after 5 seconds. You can change this grace period (in ms):
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "killGracePeriod": 10000
+ *   }
+ * }
+ * ```
+ *
+ * If Appium does not start within 2 minutes, the launch fails. The timeout (in ms) can be changed &
+ * failed launches can be retried on fresh ports:
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "launchTimeout": 60000,
+ *     "launchRetries": 2
+ *   }
+ * }
+ * ```
+ *
+ * Once Appium is up, the plugin polls its status endpoint (every second, for up to 2 minutes)
+ * before the tests start. With `session` enabled, it also opens & closes a throwaway session
+ * with the desired capabilities, so the tests only start once the simulator has booted
+ * Mobile Safari. If the browser does not get ready in time, Appium & the simulator are shut down
+ * & the launch fails with a `LaunchTimeoutError`:
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "readiness": {
+ *       "timeout": 180000,
+ *       "interval": 2000,
+ *       "session": true
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * A crashing simulator halfway through a suite shows up as lots of confusing test failures.
+ * The optional watchdog checks Appium & the simulator every `interval` ms while the tests are running
+ * & emits a `driver:unhealthy` event (with `browser`, `component`, `diagnosis` & `relaunch`)
+ * when one of them is gone. With `relaunch` enabled, the plugin also starts them again on the same ports
+ * (Appium servers in remote mode are only reported):
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "watchdog": {
+ *       "interval": 10000,
+ *       "relaunch": true
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * Besides the log messages, the plugin emits lifecycle events reporters can listen to:
+ * `driver:ios:ports-resolved`, `driver:ios:appium-started`, `driver:ios:ready`,
+ * `driver:ios:killing` & `driver:ios:killed`. Their payload contains the `browser`, `device`, `version`,
+ * `host`, `port` & `webhookPort` of the run & the `duration` (in ms) of the step.
+ * If you would like to keep track of launch times on your CI, the plugin can write
+ * the durations of the port scan, the Appium boot, the simulator boot & the shutdown to a JSON file:
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "metricsFile": "reports/ios-metrics.json"
+ *   }
+ * }
+ * ```
+ *
+ * If the simulator needs some preparation (f.e. a root certificate, clean Safari data or a hosts file)
+ * or you would like to collect things when the tests are done, you can hook into the launch & kill:
+ * `beforeLaunch` runs before Appium starts, `afterLaunch` once the browser is ready,
+ * `beforeKill` before Appium & the simulator are shut down & `afterKill` when they are gone.
+ * A hook is either the path of an existing JS module (ending with `.js`, relative to the working directory)
+ * that exports a function, or a shell command (f.e. `node test/hooks/setup.js`):
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "beforeLaunch": "./test/hooks/install-certificate.js",
+ *     "afterKill": "sh test/hooks/collect-logs.sh reports/",
+ *     "hookTimeout": 30000
+ *   }
+ * }
+ * ```
+ *
+ * The function of a JS hook gets a context (`hook`, `browser`, `device`, `version`, `host`, `port`, `webhookPort`,
+ * `capabilities` & `pids`, the process ids of `appium` & the `simulator`) & may return a promise.
+ * Shell commands get the context as environment variables: `DALEK_HOOK`, `DALEK_HOOK_HOST`, `DALEK_HOOK_PORT`,
+ * `DALEK_HOOK_WEBHOOK_PORT`, `DALEK_HOOK_PIDS` (comma separated) & `DALEK_HOOK_CONTEXT` (JSON).
+ * The plugin waits for every hook (up to `hookTimeout` ms, 1 minute by default). If a launch hook fails,
+ * Appium & the simulator are shut down & the launch fails with a `HookError`.
+ * A failing `beforeKill` hook does not stop the shutdown, the error is reported when everything is gone.
+ *
+ * The plugin can also be used without the Dalek runner, f.e. from plain Mocha or webdriverio scripts.
+ * `start` takes the same options as the `browsers.ios` block (plus the browser `type` & an optional
+ * `events` emitter for the log messages) & resolves with the url & ports of the WebDriver server:
+ *
+ * ```javascript
+ * var ios = require('dalek-browser-ios');
+ *
+ * ios.start({type: 'ipad', portRange: [6100, 6120]}).then(function (server) {
+ *   // server.url, server.port & server.webhookPort
+ *   return runMyTests(server.url).fin(server.stop);
+ * });
+ * ```
+ *
+ * Before anything gets launched, the plugin checks the host (OS, Xcode, `instruments`, the simulator SDKs,
+ * the ports, the Node version & the Appium backend). Warnings are reported, if one of the checks fails,
+ * the plugin refuses to launch. You can run the checks yourself, if your setup does not work:
+ *
+ * ```bash
+ * $ dalek-browser-ios doctor
+ * ```
+ *
+ * If you are sure that you know better, you can turn the checks off with `"preflight": false`.
+ *
+ * If you run your tests in a watch loop, booting Appium & the simulator for every run gets painful.
+ * In daemon mode, the first run starts Appium & the simulator in a background process, that keeps
+ * running when the tests are done. Later runs find the daemon (via its control socket) & reuse it,
+ * when they are done, they only end their own session:
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "daemon": true
+ *   }
+ * }
+ * ```
+ *
+ * The daemon runs until you stop it (the `daemonSocket` option changes the location of the control socket):
+ *
+ * ```bash
+ * $ dalek-browser-ios daemon status
+ * $ dalek-browser-ios daemon stop
+ * ```
+ *
+ * Desired capabilities of your own are merged into the ones the plugin sends
+ * (the device, version, orientation & locale are taken from the device profile):
+ *
+ * ```javascript
+ * "browsers": {
+ *   "ios": {
+ *     "capabilities": {
+ *       "autoAcceptAlerts": true
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * Every option can also be set with a `DALEK_IOS_*` environment variable, which comes in handy on CI.
+ * The name is the upper cased option (`DALEK_IOS_HOST`, `DALEK_IOS_WEBHOOK_PORT`, `DALEK_IOS_READINESS_TIMEOUT`),
+ * ranges & lists are separated by `-` or `,` (`DALEK_IOS_PORT_RANGE=6100-6120`), objects are JSON.
+ * Single Appium arguments & desired capabilities have their own variables
+ * (`DALEK_IOS_APPIUM_ARGS_FULL_RESET=true`, `DALEK_IOS_CAPABILITIES_AUTO_ACCEPT_ALERTS=true`).
+ * The options are layered, every layer overrides the ones before: the built in defaults,
+ * the `browsers.ios` block of your Dalekfile, the environment variables & the browser type (`ios:ipad@7.1:landscape`).
+ * You can print the effective configuration & where every option came from
+ * (it is also reported when the launch runs with `"logLevel": "debug"`):
+ *
+ * ```bash
+ * $ DALEK_IOS_PORT=5000 dalek-browser-ios config ipad@7.1 '{"backend": "binary"}'
+ * ```
+ *
+ * You can run your tests on more than one device with a single Dalek invocation:
+ *
+ * ```bash
+ * $ dalek mytest.js -b ios:iphone,ios:ipad
+ * ```
+ *
+ * Every device gets its own Appium & webhook port (the port reservations make sure
+ * they never pick the same one) & its own state file. A simulator process belongs to the first run
+ * that sees it, so the kill of one device never takes down the simulator of another one.
+ * The log messages & event payloads of the runs are tagged with the device
+ * (f.e. `dalek-browser-ios [ipad]: Switching to port: 4724`, payloads get a `deviceType`).
+ *
+ * Every launch (& every `start`) gets its own driver instance. The exported module keeps the launches apart
+ * by the browser name Dalek sets (`setBrowser`): the ports, the name & the capabilities it hands out
+ * & the launch it kills are the ones of that browser. A browser can only be launched again once it has been killed.
+ * If you need more control, `create` returns a fresh
+ * instance (with optional overrides for the defaults) that implements the same plugin interface:
+ *
+ * ```javascript
+ * var ipad = require('dalek-browser-ios').create({port: 4800});
+ * ```
+ *
+ * A failed launch rejects with one of the following errors (the `code` tells them apart):
+ * `PortExhaustedError` (E_PORT_EXHAUSTED), `AppiumBootError` (E_APPIUM_BOOT),
+ * `SimulatorNotFoundError` (E_SIMULATOR_NOT_FOUND) & `LaunchTimeoutError` (E_LAUNCH_TIMEOUT).
+ * Invalid options in the `browsers.ios` block are reported as `ConfigurationError` (E_CONFIGURATION)
+ * before anything gets launched, unknown options are ignored with a warning.
+ * Hosts that fail the preflight checks are reported as `PreflightError` (E_PREFLIGHT),
+ * failing lifecycle hooks as `HookError` (E_HOOK).
  * 
  * @module DalekJS
  * @class IosDriver
  * @namespace Browser
  * @part iOS
  * @api
+ * @param {object} options Overrides for the default options (f.e. port, appiumArgs),
+ * `exec` replaces the function that runs the shell commands of the preflight checks & the SDK detection,
+ * `env` the environment variables (defaults to `process.env`),
+ * `perLaunch` hands every launch to an instance of its own, keyed by the browser name (that is what the exported module does)
+ * @constructor
  */
 
-var IosDriver = {
+var IosDriver = function (options) {
+  options = options || {};
+  this.initial = {};
+
+  // remember the options every launch starts with
+  Object.keys(IosDriver.prototype).forEach(function (key) {
+    var value = options[key] !== undefined ? options[key] : IosDriver.prototype[key];
+    if (typeof value !== 'function') {
+      this.initial[key] = value;
+    }
+  }.bind(this));
+
+  this.exec = options.exec || exec;
+  this.env = options.env || process.env;
+  this.perLaunch = !!options.perLaunch;
+  this.launches = {};
+  this._reset();
+};
+
+IosDriver.prototype = {
 
   /**
    * Verbose version of the browser name
@@ -125,10 +604,32 @@ var IosDriver = {
 
   webhookPort: 9003,
 
+  /**
+   * Last port of the appium port range,
+   * null to scan 90 ports from `port` on
+   *
+   * @property maxPort
+   * @type integer|null
+   * @default null
+   */
+
+  maxPort: null,
+
+  /**
+   * Last port of the webhook port range,
+   * null to scan 90 ports from `webhookPort` on
+   *
+   * @property maxWebhookPort
+   * @type integer|null
+   * @default null
+   */
+
+  maxWebhookPort: null,
+
   /**
    * Default host of the Appium WebDriverServer
    * The host may be overridden with
-   * a user configured value
+   * a user configured value (`host`)
    *
    * @property host
    * @type string
@@ -148,56 +649,295 @@ var IosDriver = {
   path: '/wd/hub',
 
   /**
-   * Default desired capabilities that should be
-   * transferred when the browser session gets requested
+   * Location of an already running Appium server,
+   * null if the plugin should start its own one
    *
-   * @property desiredCapabilities
-   * @type object
+   * @property remote
+   * @type object|null
+   * @default null
    */
 
-  desiredCapabilities: {
-    device: 'iPhone Emulator',
-    name: 'Safari remote via WD',
-    app: 'safari',
-    version: '6.1',
-    browserName: ''
-  },
+  remote: null,
 
   /**
-   * Driver defaults, what should the driver be able to access.
+   * Backend that runs appium (inprocess, binary or remote)
    *
-   * @property driverDefaults
-   * @type object
+   * @property backendType
+   * @type string
+   * @default inprocess
    */
 
-  driverDefaults: {
-    viewport: true,
-    status: {
-      os: {
-        arch: os.arch(),
-        version: os.release(),
-        name: 'Mac OSX'
-      }
-    },
-    sessionInfo: true
-  },
+  backendType: 'inprocess',
 
   /**
-   * Special arguments that are needed to invoke
-   * appium. These are the defaults, they need to be modified later on 
+   * Appium executable that should be spawned
+   * when the binary backend is used
    *
-   * @property appiumArgs
-   * @type object
+   * @property appiumBinary
+   * @type string
+   * @default appium
    */
 
-  appiumArgs: {
-    app: null,
-    ipa: null,
-    quiet: true,
-    udid: null,
-    keepArtifacts: false,
-    noSessionOverride: false,
-    fullReset: false,
+  appiumBinary: 'appium',
+
+  /**
+   * Minimum level of appium log messages
+   * that get forwarded to the reporter
+   *
+   * @property logLevel
+   * @type string
+   * @default warn
+   */
+
+  logLevel: 'warn',
+
+  /**
+   * File the complete appium log gets written to,
+   * null if no log file should be written
+   *
+   * @property logFile
+   * @type string|null
+   * @default null
+   */
+
+  logFile: null,
+
+  /**
+   * Time (in ms) processes get to exit after a SIGTERM,
+   * before they receive a SIGKILL
+   *
+   * @property killGracePeriod
+   * @type integer
+   * @default 5000
+   */
+
+  killGracePeriod: 5000,
+
+  /**
+   * Time (in ms) appium gets to start,
+   * before the launch gets aborted
+   *
+   * @property launchTimeout
+   * @type integer
+   * @default 120000
+   */
+
+  launchTimeout: 120000,
+
+  /**
+   * Number of times a failed launch gets retried
+   * (with fresh ports)
+   *
+   * @property launchRetries
+   * @type integer
+   * @default 0
+   */
+
+  launchRetries: 0,
+
+  /**
+   * User defined lifecycle hooks, JS module paths
+   * or shell commands
+   *
+   * @property hooks
+   * @type object
+   */
+
+  hooks: {
+    beforeLaunch: null,
+    afterLaunch: null,
+    beforeKill: null,
+    afterKill: null
+  },
+
+  /**
+   * Time (in ms) a lifecycle hook may take
+   *
+   * @property hookTimeout
+   * @type integer
+   * @default 60000
+   */
+
+  hookTimeout: 60000,
+
+  /**
+   * Readiness probe, that runs after appium is up:
+   * polls the status endpoint every `interval` ms & (with `session`)
+   * opens & closes a throwaway session, gives up after `timeout` ms
+   *
+   * @property readiness
+   * @type object
+   */
+
+  readiness: {
+    timeout: 120000,
+    interval: 1000,
+    session: false
+  },
+
+  /**
+   * Health watchdog, checks appium & the simulator every `interval` ms
+   * while the tests are running (0 turns it off), with `relaunch`
+   * a dead stack gets relaunched on the same ports
+   *
+   * @property watchdog
+   * @type object
+   */
+
+  watchdog: {
+    interval: 0,
+    relaunch: false
+  },
+
+  /**
+   * File the launch & shutdown timings get written to,
+   * null to skip writing them
+   *
+   * @property metricsFile
+   * @type string|null
+   * @default null
+   */
+
+  metricsFile: null,
+
+  /**
+   * Check the host & the iOS toolchain before the launch,
+   * refuse to launch if one of the checks fails
+   *
+   * @property preflight
+   * @type bool
+   * @default true
+   */
+
+  preflight: true,
+
+  /**
+   * Keep appium & the simulator running in a daemon
+   * process, that later runs reuse
+   *
+   * @property daemon
+   * @type bool
+   * @default false
+   */
+
+  daemon: false,
+
+  /**
+   * Control socket of the daemon,
+   * null to use a socket in the systems temp directory
+   *
+   * @property daemonSocket
+   * @type string|null
+   * @default null
+   */
+
+  daemonSocket: null,
+
+  /**
+   * Directory for the lock files that reserve the ports,
+   * null to use a folder in the systems temp directory
+   *
+   * @property portLockDir
+   * @type string|null
+   * @default null
+   */
+
+  portLockDir: null,
+
+  /**
+   * Names of the simulator processes the driver keeps track of,
+   * null to use the names of the known Xcode versions
+   * (iPhone Simulator.app, iOS Simulator.app & Simulator.app)
+   *
+   * @property simulatorProcesses
+   * @type array|null
+   * @default null
+   */
+
+  simulatorProcesses: null,
+
+  /**
+   * Directory of the state files, that keep track of the processes
+   * of a run, null to use a folder in the systems temp directory
+   *
+   * @property stateDir
+   * @type string|null
+   * @default null
+   */
+
+  stateDir: null,
+
+  /**
+   * What to do with processes a crashed run left behind (kill or warn)
+   *
+   * @property orphans
+   * @type string
+   * @default kill
+   */
+
+  orphans: 'kill',
+
+  /**
+   * Interval (in ms) in which the state file gets updated
+   *
+   * @property stateInterval
+   * @type integer
+   * @default 5000
+   */
+
+  stateInterval: 5000,
+
+  /**
+   * Default desired capabilities that should be
+   * transferred when the browser session gets requested
+   *
+   * @property desiredCapabilities
+   * @type object
+   */
+
+  desiredCapabilities: {
+    device: 'iPhone Emulator',
+    name: 'Safari remote via WD',
+    app: 'safari',
+    version: '6.1',
+    browserName: ''
+  },
+
+  /**
+   * Driver defaults, what should the driver be able to access.
+   *
+   * @property driverDefaults
+   * @type object
+   */
+
+  driverDefaults: {
+    viewport: true,
+    status: {
+      os: {
+        arch: os.arch(),
+        version: os.release(),
+        name: Doctor.osName(process.platform)
+      }
+    },
+    sessionInfo: true
+  },
+
+  /**
+   * Special arguments that are needed to invoke
+   * appium. These are the defaults, they need to be modified later on 
+   *
+   * @property appiumArgs
+   * @type object
+   */
+
+  appiumArgs: {
+    app: null,
+    ipa: null,
+    quiet: true,
+    udid: null,
+    keepArtifacts: false,
+    noSessionOverride: false,
+    fullReset: false,
     noReset: false,
     launch: false,
     log: false,
@@ -214,473 +954,1943 @@ var IosDriver = {
   },
 
   /**
-   * Different browser types (iPhone / iPad)
+   * Different browser types (device profiles)
+   *
+   * @property browserTypes
+   * @type object
+   */
+
+  browserTypes: profiles.builtin,
+
+  /**
+   * User defined device profiles
+   *
+   * @property profiles
+   * @type object
+   * @default {}
+   */
+
+  profiles: {},
+
+  /**
+   * Resolves the driver port
+   *
+   * @method getPort
+   * @return {integer} port WebDriver server port
+   */
+
+  getPort: function () {
+    return this.port;
+  },
+
+  /**
+   * Resolves the maximum range for the driver port
+   *
+   * @method getMaxPort
+   * @return {integer} port Max WebDriver server port range
+   */
+
+  getMaxPort: function () {
+    return this.maxPort || this.getPort() + 90;
+  },
+
+  /**
+   * Resolves the webhook port
+   *
+   * @method getWebhookPort
+   * @return {integer} WebHook server port
+   */
+
+  getWebhookPort: function () {
+    return this.webhookPort;
+  },
+
+  /**
+   * Resolves the maximum range for the webhook port
+   *
+   * @method getWebhookPort
+   * @return {integer} WebHook Max WebHook port
+   */
+
+  getMaxWebhookPort: function () {
+    return this.maxWebhookPort || this.getWebhookPort() + 90;
+  },
+
+  /**
+   * Returns the driver host
+   *
+   * @method getHost
+   * @return {string} host WebDriver server hostname
+   */
+
+  getHost: function () {
+    return this.host;
+  },
+
+  /**
+   * Injects the complete browser name (f.e. `ios:ipad@7.1:landscape`),
+   * Dalek only passes the browser type on if it is one of the `browserTypes`.
+   * If the browser has already been launched, the ports, the name & the capabilities
+   * of its launch are the ones the plugin hands out from now on
+   *
+   * @method setBrowser
+   * @param {string} browser Browser to launch
+   * @chainable
+   */
+
+  setBrowser: function (browser) {
+    this.browser = browser;
+
+    if (this.perLaunch && this.launches[this._launchKey()]) {
+      this._mirror(this.launches[this._launchKey()]);
+    }
+
+    return this;
+  },
+
+  /**
+   * Creates a new driver instance, with its own options & state
+   *
+   * @method create
+   * @param {object} options Overrides for the default options
+   * @return {IosDriver} Driver instance
+   */
+
+  create: function (options) {
+    return new IosDriver(options);
+  },
+
+  /**
+   * Launches appium & the simulator without the Dalek runner,
+   * takes the same options as the `browsers.ios` block of a Dalekfile
+   * (plus `type`, the browser type & `events`, an optional event emitter)
+   *
+   * @method start
+   * @param {object} options Options
+   * @return {object} promise Resolves with the server (url, port, webhookPort, stop)
+   */
+
+  start: function (options) {
+    options = options || {};
+
+    var events = options.events || {emit: function () {}};
+    var config = this._standaloneConfig(options, ['type', 'events']);
+
+    // every standalone server gets its own driver instance
+    var driver = this.create();
+    return driver.launch({type: options.type}, events, config).then(function () {
+      return {
+        url: webdriver.url({host: driver.getHost(), port: driver.getPort(), path: driver.path}),
+        port: driver.getPort(),
+        webhookPort: driver.backend.webhook ? driver.getWebhookPort() : null,
+        stop: driver.kill.bind(driver)
+      };
+    });
+  },
+
+  /**
+   * Launches appium & corresponding emulator or device,
+   * kicks off the portscanner
+   *
+   * @method launch
+   * @param {object} configuration Browser configuration
+   * @param {EventEmitter2} events EventEmitter (Reporter Emitter instance)
+   * @param {Dalek.Internal.Config} config Dalek configuration class
+   * @return {object} promise Browser promise
+   */
+
+  launch: function (configuration, events, config) {
+    var deferred = Q.defer();
+
+    if (this.perLaunch) {
+      return this._launchInstance(configuration, events, config);
+    }
+
+    configuration = this._browserConfiguration(configuration);
+    var invalid = this._configure(configuration, events, config);
+
+    if (invalid) {
+      deferred.reject(invalid);
+      return deferred.promise;
+    }
+
+    // collect appiums log output, keep track of the simulator processes
+    this.run = ++runs;
+    this.appiumLog = new AppiumLog(this.reporterEvents, {level: this.logLevel, file: this.logFile});
+    this.inspector = new ProcessInspector({patterns: this.simulatorProcesses});
+    this.processTable = new ProcessInspector({patterns: [/./]});
+    this.stateFile = new StateFile({dir: this.stateDir, run: this.run});
+    this.metrics = new Metrics({file: this.metricsFile});
+    this.userHooks = new UserHooks(this.hooks, {timeout: this.hookTimeout});
+
+    // shut down appium & the simulator if dalek gets interrupted or crashes
+    this.cleanupHooks = new CleanupHooks(this._emergencyShutdown.bind(this), {timeout: this.killGracePeriod + 5000});
+    this.cleanupHooks.register();
+
+    // check the host, find (or start) the daemon, clean up after crashed runs, before we start our own processes
+    return this._preflight()
+      .then(this._resolveSdk.bind(this))
+      .then(this._attachDaemon.bind(this, configuration, [{ios: this.resolved.options}]))
+      .then(this._recoverOrphans.bind(this))
+      .then(this._launchAttempt.bind(this, this.launchRetries, null))
+      .then(this._waitUntilReady.bind(this))
+      .then(this._afterLaunch.bind(this))
+      .then(this._startWatchdog.bind(this))
+      .then(this._notifyData.bind(this, events))
+      .fail(function (err) {
+        this.cleanupHooks.remove();
+        // only the kill closes the log file, a failed launch never gets there
+        return this.appiumLog.close().then(function () {
+          throw err;
+        });
+      }.bind(this));
+  },
+
+  /**
+   * Loads the options of the Dalekfile & the browser type,
+   * starts with the initial options of the instance
+   *
+   * @method _configure
+   * @param {object} configuration Browser configuration
+   * @param {EventEmitter2} events EventEmitter (Reporter Emitter instance)
+   * @param {Dalek.Internal.Config} config Dalek configuration class
+   * @return {Error|null} Error if the options are invalid
+   * @private
+   */
+
+  _configure: function (configuration, events, config) {
+    // start with the initial options, not with what the last launch left behind
+    this._reset();
+
+    // store injected configuration/log event handlers
+    this.reporterEvents = events;
+    this.configuration = configuration;
+    this.config = config;
+
+    // layer the Dalekfile options & the DALEK_IOS_* environment variables on top of the defaults
+    var browsers = Array.isArray(this.config.get('browsers')) ? this.config.get('browsers') : [];
+    this.resolved = resolver.resolve(browsers, this.env, configuration && configuration.type);
+
+    // validate the options before anything gets launched
+    var invalid = this._validateOptions(browsers, this.resolved);
+    if (invalid) {
+      return invalid;
+    }
+
+    var browser = {ios: this.resolved.options};
+    this._checkHost(browser);
+    this._checkUserDefinedPorts(browser);
+    this._checkBackend(browser);
+    this._checkCapabilities(browser);
+    this._checkLogOptions(browser);
+    this._checkTimings(browser);
+    this._checkReadiness(browser);
+    this._checkWatchdog(browser);
+    this._checkMetricsFile(browser);
+    this._checkDaemon(browser);
+    this._checkHooks(browser);
+    this._checkPreflight(browser);
+    this._checkProfiles(browser);
+    this._checkSimulatorProcesses(browser);
+    this._checkStateOptions(browser);
+
+    // check which device the user wants to run (ios:<profile>@<version>:<orientation>:<locale>)
+    try {
+      this._applyProfile(this._resolveProfile(configuration && configuration.type));
+    } catch (err) {
+      return err;
+    }
+
+    // show where every option came from, if the user is debugging the setup
+    if (this.logLevel === 'debug') {
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Effective configuration\n' + resolver.format(this._effectiveConfig(), this.resolved.sources));
+    }
+
+    // tell the devices apart, if dalek runs more than one of them
+    if (this._isMultiDevice()) {
+      this.reporterEvents = new DeviceEvents(events, (configuration && configuration.type) || 'iphone');
+    }
+
+    // check if we know the backend that should run appium
+    if (!backends[this.backendType]) {
+      return new Error('dalek-browser-ios: Unknown backend "' + this.backendType + '", use one of: ' + Object.keys(backends).join(', '));
+    }
+
+    return null;
+  },
+
+  /**
+   * Checks the host & the iOS toolchain, takes the same options as `start`
+   * (plus `exec`, a function that runs a command & returns a promise for its output
+   * & `platform`, the host platform)
+   *
+   * @method doctor
+   * @param {object} options Options
+   * @return {object} promise Resolves with the results (name, status, message) & the formatted report
+   */
+
+  doctor: function (options) {
+    var driver = this.create();
+    options = options || {};
+
+    var invalid = driver._configure({type: options.type}, {emit: function () {}}, this._standaloneConfig(options, ['type', 'exec', 'platform']));
+
+    if (invalid) {
+      return Q.reject(invalid);
+    }
+
+    var doctor = new Doctor({exec: options.exec, platform: options.platform});
+    return doctor.run(driver._doctorSettings()).then(function (results) {
+      return {results: results, failed: doctor.failed(results), report: doctor.report(results)};
+    });
+  },
+
+  /**
+   * Launches a fresh instance for the browser set by `setBrowser`, so that the kill
+   * of one browser can not touch the processes, ports & signal handlers of another one.
+   * A browser can only be launched again when its previous launch has been killed
+   *
+   * @method _launchInstance
+   * @param {object} configuration Browser configuration
+   * @param {EventEmitter2} events EventEmitter (Reporter Emitter instance)
+   * @param {Dalek.Internal.Config} config Dalek configuration class
+   * @return {object} promise Browser promise
+   * @private
+   */
+
+  _launchInstance: function (configuration, events, config) {
+    var key = this._launchKey();
+    var driver;
+
+    if (this.launches[key]) {
+      return Q.reject(new errors.ConfigurationError('dalek-browser-ios: "' + key + '" is already running, kill it before launching it again'));
+    }
+
+    driver = this.create().setBrowser(this.browser);
+    this.launches[key] = driver;
+
+    return driver.launch(configuration, events, config).then(function () {
+      // another browser might have been set while this one was launching
+      if (this._launchKey() === key) {
+        this._mirror(driver);
+      }
+      return this;
+    }.bind(this), function (err) {
+      if (this.launches[key] === driver) {
+        delete this.launches[key];
+      }
+      throw err;
+    }.bind(this));
+  },
+
+  /**
+   * Key of the launch that belongs to the current browser name
+   *
+   * @method _launchKey
+   * @return {string} Browser name (`ios` if none has been set)
+   * @private
+   */
+
+  _launchKey: function () {
+    return this.browser || 'ios';
+  },
+
+  /**
+   * Copies what the Dalek driver reads from the plugin (the location
+   * of the WebDriver server, the browser name & capabilities) from a launched instance
+   *
+   * @method _mirror
+   * @param {IosDriver} driver Launched instance
+   * @chainable
+   * @private
+   */
+
+  _mirror: function (driver) {
+    ['longName', 'host', 'port', 'maxPort', 'webhookPort', 'maxWebhookPort', 'path'].forEach(function (key) {
+      this[key] = driver[key];
+    }.bind(this));
+
+    replace(this.desiredCapabilities, copy(driver.desiredCapabilities));
+    replace(this.driverDefaults, copy(driver.driverDefaults));
+    return this;
+  },
+
+  /**
+   * Takes the browser type from the browser name injected by `setBrowser`,
+   * if Dalek did not pass it on (or cut off the version, orientation & locale)
+   *
+   * @method _browserConfiguration
+   * @param {object|null} configuration Browser configuration
+   * @return {object|null} Browser configuration
+   * @private
+   */
+
+  _browserConfiguration: function (configuration) {
+    var type = configuration && configuration.type;
+    var full = this.browser ? String(this.browser).split(':').slice(1).join(':') : '';
+
+    if (!full || (type && type.length >= full.length)) {
+      return configuration;
+    }
+
+    var result = {};
+    Object.keys(configuration || {}).forEach(function (key) {
+      result[key] = configuration[key];
+    });
+
+    result.type = full;
+    return result;
+  },
+
+  /**
+   * Sends the desired capabilities & driver defaults of the launch
+   * to the Dalek driver (`browser:notify:data:<browser>`)
+   *
+   * @method _notifyData
+   * @param {EventEmitter2} events Reporter event emitter
+   * @chainable
+   * @private
+   */
+
+  _notifyData: function (events) {
+    if (this.browser) {
+      events.emit('browser:notify:data:' + this.browser, {desiredCapabilities: this.desiredCapabilities, defaults: this.driverDefaults});
+    }
+
+    return this;
+  },
+
+  /**
+   * Resolves the configuration a launch would use, takes the same options as `start`
+   * (plus `env`, the environment variables)
+   *
+   * @method effectiveConfig
+   * @param {object} options Options
+   * @return {object} promise Resolves with the result (config, sources, report)
+   */
+
+  effectiveConfig: function (options) {
+    options = options || {};
+
+    var driver = this.create({env: options.env});
+    var invalid = driver._configure({type: options.type}, {emit: function () {}}, this._standaloneConfig(options, ['type', 'env']));
+
+    if (invalid) {
+      return Q.reject(invalid);
+    }
+
+    var config = driver._effectiveConfig();
+    return Q.resolve({config: config, sources: driver.resolved.sources, report: resolver.format(config, driver.resolved.sources)});
+  },
+
+  /**
+   * Wraps standalone options into a Dalek configuration
+   * with a single `browsers.ios` block
+   *
+   * @method _standaloneConfig
+   * @param {object} options Standalone options
+   * @param {array} exclude Keys that are no `browsers.ios` options
+   * @return {object} Dalek configuration (get)
+   * @private
+   */
+
+  _standaloneConfig: function (options, exclude) {
+    var ios = {};
+
+    Object.keys(options).forEach(function (key) {
+      if (exclude.indexOf(key) === -1) {
+        ios[key] = options[key];
+      }
+    });
+
+    return {get: function (key) {
+      return key === 'browsers' ? [{ios: ios}] : undefined;
+    }};
+  },
+
+  /**
+   * Collects the options the launch runs with
+   *
+   * @method _effectiveConfig
+   * @return {object} Effective configuration
+   * @private
+   */
+
+  _effectiveConfig: function () {
+    var profile = this.profile;
+
+    return {
+      host: this.getHost(),
+      port: this.getPort(),
+      maxPort: this.getMaxPort(),
+      webhookPort: this.getWebhookPort(),
+      maxWebhookPort: this.getMaxWebhookPort(),
+      path: this.path,
+      backend: this.backendType,
+      remote: copy(this.remote),
+      appiumBinary: this.appiumBinary,
+      profile: {
+        device: profile.device,
+        deviceName: profile.deviceName,
+        version: profile.version,
+        orientation: profile.orientation,
+        locale: profile.locale,
+        language: profile.language
+      },
+      capabilities: copy(this.desiredCapabilities),
+      appiumArgs: this._loadAppiumArgs(copy(this.appiumArgs)),
+      logLevel: this.logLevel,
+      logFile: this.logFile,
+      metricsFile: this.metricsFile,
+      preflight: this.preflight,
+      daemon: this.daemon,
+      daemonSocket: this.daemonSocket,
+      beforeLaunch: this.hooks.beforeLaunch,
+      afterLaunch: this.hooks.afterLaunch,
+      beforeKill: this.hooks.beforeKill,
+      afterKill: this.hooks.afterKill,
+      hookTimeout: this.hookTimeout,
+      killGracePeriod: this.killGracePeriod,
+      launchTimeout: this.launchTimeout,
+      launchRetries: this.launchRetries,
+      readiness: copy(this.readiness),
+      watchdog: copy(this.watchdog),
+      portLockDir: this.portLockDir,
+      stateDir: this.stateDir,
+      orphans: this.orphans,
+      simulatorProcesses: copy(this.simulatorProcesses)
+    };
+  },
+
+  /**
+   * Runs the preflight checks, reports warnings & failures,
+   * rejects if the host can not work
+   *
+   * @method _preflight
+   * @return {object} promise Resolves when the host passed the checks
+   * @private
+   */
+
+  _preflight: function () {
+    if (!this.preflight) {
+      return Q.resolve();
+    }
+
+    var doctor = new Doctor({exec: this.exec});
+    return doctor.run(this._doctorSettings()).then(function (results) {
+      var problems = results.filter(function (result) {
+        return result.status !== 'pass';
+      });
+
+      problems.forEach(function (result) {
+        this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Preflight [' + result.status + '] ' + result.name + ': ' + result.message);
+      }.bind(this));
+
+      if (doctor.failed(results)) {
+        throw new errors.PreflightError('dalek-browser-ios: This host can not launch the iOS simulator (run "dalek-browser-ios doctor" for details, or set "preflight": false)\n' + doctor.report(problems.filter(function (result) {
+          return result.status === 'fail';
+        })));
+      }
+    }.bind(this));
+  },
+
+  /**
+   * Picks the installed simulator SDK that matches the version
+   * of the profile (the newest one for `latest`, f.e. 7.1 for `7.x`),
+   * backends without a local simulator leave patterns to appium
+   *
+   * @method _resolveSdk
+   * @return {object} promise Resolves when the version is known
+   * @private
+   */
+
+  _resolveSdk: function () {
+    var requested = this.profile.version;
+
+    if (!backends[this.backendType].prototype.simulator) {
+      if (sdk.isPattern(requested)) {
+        this._setVersion(null);
+      }
+      return Q.resolve();
+    }
+
+    return sdk.detect(this.exec).then(function (available) {
+      if (available.length === 0) {
+        // no xcode tools around, appium might still know better
+        if (sdk.isPattern(requested)) {
+          this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Could not detect the installed iOS SDKs, letting Appium pick one');
+          this._setVersion(null);
+        }
+        return;
+      }
+
+      var version = sdk.resolve(requested, available);
+      if (version !== requested) {
+        this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Using iOS ' + version + ' (for ' + (requested || 'latest') + ')');
+      }
+      this._setVersion(version);
+    }.bind(this));
+  },
+
+  /**
+   * Switches the iOS version of the run
+   *
+   * @method _setVersion
+   * @param {string|null} version iOS version, null to leave it to appium
+   * @chainable
+   * @private
+   */
+
+  _setVersion: function (version) {
+    this.profile.version = version;
+    this.longName = 'Mobile Safari iOS ' + (version ? version + ' ' : '') + '(' + this.profile.deviceName + ')';
+
+    if (version) {
+      this.desiredCapabilities.version = version;
+      this.desiredCapabilities.platformVersion = version;
+    } else {
+      delete this.desiredCapabilities.version;
+      delete this.desiredCapabilities.platformVersion;
+    }
+
+    return this;
+  },
+
+  /**
+   * Collects what the doctor needs to know about the run
+   *
+   * @method _doctorSettings
+   * @return {object} Settings (backend, simulator, appiumBinary, host, port, webhookPort, path)
+   * @private
+   */
+
+  _doctorSettings: function () {
+    var remote = this.remote || {};
+    return {
+      backend: this.backendType,
+      simulator: backends[this.backendType].prototype.simulator,
+      appiumBinary: this.appiumBinary,
+      host: remote.host || this.getHost(),
+      port: remote.port || this.getPort(),
+      webhookPort: this.getWebhookPort(),
+      path: remote.path || this.path
+    };
+  },
+
+  /**
+   * Stops the daemon (appium & the simulator it keeps running)
+   *
+   * @method stopDaemon
+   * @param {string} socket Control socket of the daemon (optional)
+   * @return {object} promise Resolves when the daemon is gone
+   */
+
+  stopDaemon: function (socket) {
+    return daemon.request(socket || this.daemonSocket || daemon.socket, 'stop');
+  },
+
+  /**
+   * Connects to the daemon (starts it if there is none yet),
+   * the daemon then gets used like a remote appium server
+   *
+   * @method _attachDaemon
+   * @param {object} configuration Browser configuration
+   * @param {array|undefined} browsers Browser options of the Dalekfile
+   * @return {object} promise Resolves when the driver uses the daemon
+   * @private
+   */
+
+  _attachDaemon: function (configuration, browsers) {
+    var socket = this.daemonSocket || daemon.socket;
+    var type = (configuration && configuration.type) || null;
+
+    if (!this.daemon || !backends[this.backendType].prototype.local) {
+      return Q.resolve();
+    }
+
+    return daemon.request(socket, 'status')
+      .fail(function () {
+        this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Starting the daemon on ' + socket);
+        return daemon.spawn(socket, this._daemonOptions(type, browsers), this.launchTimeout);
+      }.bind(this))
+      .then(function (status) {
+        if (status.type !== type) {
+          throw new errors.ConfigurationError('dalek-browser-ios: The daemon runs "' + (status.type || 'iphone') + '", stop it (dalek-browser-ios daemon stop) to use "' + (type || 'iphone') + '"');
+        }
+
+        this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Using the daemon (pid ' + status.pid + ') on port ' + status.port);
+        this.backendType = 'remote';
+        this.remote = {host: status.host, port: status.port, path: status.path};
+      }.bind(this));
+  },
+
+  /**
+   * Collects the options the daemon launches the driver with
+   *
+   * @method _daemonOptions
+   * @param {string|null} type Browser type
+   * @param {array|undefined} browsers Browser options of the Dalekfile
+   * @return {object} Options
+   * @private
+   */
+
+  _daemonOptions: function (type, browsers) {
+    var options = {};
+
+    (browsers || []).forEach(function (browser) {
+      Object.keys(browser.ios || {}).forEach(function (key) {
+        // the hooks run in the Dalek process, not in the daemon
+        if (['daemon', 'daemonSocket', 'hookTimeout'].concat(UserHooks.prototype.names).indexOf(key) === -1) {
+          options[key] = browser.ios[key];
+        }
+      });
+    });
+
+    if (type) {
+      options.type = type;
+    }
+    return options;
+  },
+
+  /**
+   * Restores the options the instance has been created with
+   *
+   * @method _reset
+   * @chainable
+   * @private
+   */
+
+  _reset: function () {
+    Object.keys(this.initial).forEach(function (key) {
+      // the Dalek driver holds on to these, they have to stay the same objects
+      if (shared.indexOf(key) !== -1 && this.hasOwnProperty(key)) {
+        replace(this[key], copy(this.initial[key]));
+        return;
+      }
+
+      this[key] = copy(this.initial[key]);
+    }.bind(this));
+    return this;
+  },
+
+  /**
+   * Best effort shutdown, used when the process
+   * gets interrupted or an exception escapes
+   *
+   * @method _emergencyShutdown
+   * @return {object} promise Resolves when the shutdown is done
+   * @private
+   */
+
+  _emergencyShutdown: function () {
+    if (!this.backend) {
+      return Q.resolve();
+    }
+
+    this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Shutting down Appium & the simulator');
+    return this.kill();
+  },
+
+  /**
+   * Looks for state files of crashed runs & kills the processes
+   * they left behind (or warns about them)
+   *
+   * @method _recoverOrphans
+   * @return {object} promise Resolves when the orphans are handled
+   * @private
+   */
+
+  _recoverOrphans: function () {
+    var stale = backends[this.backendType].prototype.local ? this.stateFile.stale() : [];
+
+    if (stale.length === 0) {
+      return Q.resolve();
+    }
+
+    return this.processTable.list().then(function (running) {
+      var orphans = this._findOrphans(stale, running);
+
+      if (orphans.length > 0 && this.orphans === 'warn') {
+        this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: A previous run left processes behind: ' + orphans.join(', '));
+        return;
+      }
+
+      stale.forEach(this.stateFile.discard.bind(this.stateFile));
+      if (orphans.length === 0) {
+        return;
+      }
+
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Killing processes a previous run left behind: ' + orphans.join(', '));
+      return terminator.terminate(orphans, this.killGracePeriod);
+    }.bind(this)).fail(function (err) {
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Could not clean up after a previous run (' + err.message + ')');
+    }.bind(this));
+  },
+
+  /**
+   * Finds the processes of stale states that are still running,
+   * the command needs to match too, as pids get reused
+   *
+   * @method _findOrphans
+   * @param {array} stale Stale states
+   * @param {array} running Running processes
+   * @return {array} Process ids
+   * @private
+   */
+
+  _findOrphans: function (stale, running) {
+    var orphans = [];
+
+    stale.forEach(function (state) {
+      state.processes.forEach(function (orphan) {
+        var alive = running.some(function (record) {
+          return record.pid === orphan.pid && record.command === orphan.command;
+        });
+
+        if (alive) {
+          orphans.push(orphan.pid);
+        }
+      });
+    });
+
+    return orphans;
+  },
+
+  /**
+   * Writes the ports & processes of this run to its state file
+   *
+   * @method _writeState
+   * @return {object} promise Resolves when the state has been written
+   * @private
+   */
+
+  _writeState: function () {
+    var pids = this.backend.pids();
+    var openProcesses = this.openProcesses || [];
+
+    return this.processTable.list().then(function (running) {
+      var started = this.inspector.filter(running).map(function (record) {
+        return record.pid;
+      }).filter(function (pid) {
+        return openProcesses.indexOf(pid) === -1;
+      });
+      pids = pids.concat(claims.claim(this.run, started));
+
+      this.stateFile.write({
+        port: this.getPort(),
+        webhookPort: this.getWebhookPort(),
+        processes: running.filter(function (record) {
+          return pids.indexOf(record.pid) !== -1;
+        }).map(function (record) {
+          return {pid: record.pid, command: record.command};
+        })
+      });
+    }.bind(this)).fail(function (err) {
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Could not write the state file (' + err.message + ')');
+    }.bind(this));
+  },
+
+  /**
+   * Writes the state file & keeps it up to date,
+   * as the simulator starts after appium is up
+   *
+   * @method _trackState
+   * @chainable
+   * @private
+   */
+
+  _trackState: function () {
+    this._writeState();
+    this.stateTimer = setInterval(this._writeState.bind(this), this.stateInterval);
+    if (this.stateTimer.unref) {
+      this.stateTimer.unref();
+    }
+    return this;
+  },
+
+  /**
+   * Starts the backend & webhook server,
+   * gives up if they are not up within the launch timeout
+   *
+   * @method _launchAttempt
+   * @param {integer} retries Number of retries left
+   * @param {array|null} ranges Appium & webhook port range (null for the ranges of the options)
+   * @return {object} promise Browser promise
+   * @private
+   */
+
+  _launchAttempt: function (retries, ranges) {
+    var deferred = Q.defer();
+    var timer = setTimeout(this._onLaunchTimeout.bind(this, deferred), this.launchTimeout);
+
+    // every attempt gets a fresh backend & webhook server
+    this.backend = new backends[this.backendType](this);
+    this.webhookServer = new WebhookServer(this.appiumLog, this.reporterEvents);
+
+    if (this.backend.local) {
+      // reserve a free appium & webhook port, scan the ranges if the defaults are in use
+      this.portAllocator = new PortAllocator({host: this.getHost(), lockDir: this.portLockDir});
+      this.metrics.start('portScan');
+      ranges = ranges || [[this.getPort(), this.getMaxPort()], [this.getWebhookPort(), this.getMaxWebhookPort()]];
+      this.portAllocator.allocate(ranges[0], ranges[1])
+        .then(this._checkPorts.bind(this, deferred), deferred.reject);
+    } else {
+      // remote servers do not need local ports or processes
+      this._runHook('beforeLaunch').then(this.backend.start.bind(this.backend)).then(function () {
+        this._lifecycle('ports-resolved', {duration: 0});
+        deferred.resolve();
+      }.bind(this), deferred.reject);
+    }
+
+    return deferred.promise
+      .fin(clearTimeout.bind(null, timer))
+      .fail(this._onLaunchError.bind(this, retries, ranges));
+  },
+
+  /**
+   * Waits until mobile safari can take a session,
+   * shuts everything down if it never gets there
+   *
+   * @method _waitUntilReady
+   * @return {object} promise Resolves when the browser is ready
+   * @private
+   */
+
+  _waitUntilReady: function () {
+    var probe = new Readiness({host: this.getHost(), port: this.getPort(), path: this.path}, {
+      events: this.reporterEvents,
+      timeout: this.readiness.timeout,
+      interval: this.readiness.interval,
+      session: this.readiness.session,
+      desiredCapabilities: this.desiredCapabilities
+    });
+
+    this.metrics.start('simulatorBoot');
+    return probe.wait().then(function () {
+      var duration = this.metrics.stop('simulatorBoot');
+      this._lifecycle('ready', {duration: duration, timings: this.metrics.timings});
+    }.bind(this), function (err) {
+      var rethrow = function () {
+        throw err;
+      };
+      return this.kill().then(rethrow, rethrow);
+    }.bind(this));
+  },
+
+  /**
+   * Starts the health watchdog, if the user turned it on
+   *
+   * @method _startWatchdog
+   * @chainable
+   * @private
+   */
+
+  _startWatchdog: function () {
+    if (!this.watchdog.interval) {
+      return this;
+    }
+
+    this.monitor = new Watchdog({host: this.getHost(), port: this.getPort(), path: this.path}, {
+      interval: this.watchdog.interval,
+      processes: this.backend.local ? this._ownProcesses.bind(this) : null,
+      onUnhealthy: this._onUnhealthy.bind(this)
+    });
+    this.monitor.start();
+    return this;
+  },
+
+  /**
+   * Reports an unhealthy appium server or simulator,
+   * relaunches them if the user asked for it
+   *
+   * @method _onUnhealthy
+   * @param {object} diagnosis What is wrong (component, message)
+   * @chainable
+   * @private
+   */
+
+  _onUnhealthy: function (diagnosis) {
+    var relaunch = this.watchdog.relaunch && this.backend.local;
+
+    this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Unhealthy ' + diagnosis.component + ': ' + diagnosis.message);
+    this.reporterEvents.emit('driver:unhealthy', {
+      browser: this.longName,
+      component: diagnosis.component,
+      diagnosis: diagnosis.message,
+      relaunch: relaunch
+    });
+
+    if (relaunch) {
+      this._relaunch();
+    }
+
+    return this;
+  },
+
+  /**
+   * Tears down the remains of a dead appium server & simulator
+   * & starts them again, on the same ports
+   *
+   * @method _relaunch
+   * @return {object} promise Resolves when the new stack is ready
+   * @private
+   */
+
+  _relaunch: function () {
+    clearInterval(this.stateTimer);
+    this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Relaunching Appium & the simulator on port ' + this.getPort());
+
+    return Q.allSettled([this.backend.stop(), this.webhookServer.stop()])
+      .then(this._processes.bind(this))
+      .then(this._kill.bind(this))
+      .then(function () {
+        this.backend = new backends[this.backendType](this);
+        this.webhookServer = new WebhookServer(this.appiumLog, this.reporterEvents);
+        return this._startWebhookServer();
+      }.bind(this))
+      .then(function () {
+        return this.backend.start(this._loadAppiumArgs(this.appiumArgs));
+      }.bind(this))
+      .then(this._trackState.bind(this))
+      .then(this._waitUntilReady.bind(this))
+      .then(this._startWatchdog.bind(this))
+      .fail(function (err) {
+        this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Relaunch failed (' + err.message + ')');
+      }.bind(this));
+  },
+
+  /**
+   * Rejects the launch attempt when the launch timeout is reached
+   *
+   * @method _onLaunchTimeout
+   * @param {object} deferred Launch attempt promise
+   * @chainable
+   * @private
+   */
+
+  _onLaunchTimeout: function (deferred) {
+    deferred.reject(new errors.LaunchTimeoutError('dalek-browser-ios: Appium did not start within ' + this.launchTimeout + 'ms'));
+    return this;
+  },
+
+  /**
+   * Cleans up the half started servers of a failed launch attempt,
+   * retries with fresh ports (from the same ranges) if the error allows it
+   *
+   * @method _onLaunchError
+   * @param {integer} retries Number of retries left
+   * @param {array|null} ranges Appium & webhook port range of the attempt
+   * @param {Error} err Reason of the failed attempt
+   * @return {object} promise Next launch attempt
+   * @private
+   */
+
+  _onLaunchError: function (retries, ranges, err) {
+    var cleanup = Q.allSettled([this.backend.stop(), this.webhookServer.stop()]);
+    var failed = this.portAllocator;
+
+    return cleanup.then(function () {
+      if (retries <= 0 || !err.retryable) {
+        this._releasePorts();
+        throw err;
+      }
+
+      // the ports of the failed attempt stay reserved until the retry is done,
+      // so that the port allocator hands out fresh ones
+      this.reporterEvents.emit('report:log:system', err.message + ', retrying (' + retries + ' left)');
+      return this._launchAttempt(retries - 1, ranges).fin(function () {
+        if (failed && failed !== this.portAllocator) {
+          failed.release();
+        }
+      }.bind(this));
+    }.bind(this));
+  },
+
+  /**
+   * Stops the Appium Server, kills the simulator processses
+   * & verifies that all of them are gone
+   * 
+   * @method kill
+   * @return {object} promise Resolves when everything has been shut down
+   */
+
+  kill: function () {
+    // Dalek kills the browser whose tests are done, before it sets the next one
+    if (this.perLaunch) {
+      var driver = this.launches[this._launchKey()];
+      delete this.launches[this._launchKey()];
+      return driver ? driver.kill() : Q.resolve();
+    }
+
+    clearInterval(this.stateTimer);
+    if (this.monitor) {
+      this.monitor.stop();
+    }
+
+    this._lifecycle('killing', {});
+    this.metrics.start('shutdown');
+
+    // a failing beforeKill hook must not keep appium & the simulator alive,
+    // it gets reported when everything has been shut down
+    var failed = null;
+    return this._runHook('beforeKill')
+      .fail(function (err) {
+        failed = err;
+      })
+      .then(this._shutdown.bind(this))
+      .then(this._runHook.bind(this, 'afterKill'))
+      .then(function () {
+        if (failed) {
+          throw failed;
+        }
+      });
+  },
+
+  /**
+   * Stops the backend & the webhook server,
+   * kills the simulator processes
+   *
+   * @method _shutdown
+   * @return {object} promise Resolves when everything has been shut down
+   * @private
+   */
+
+  _shutdown: function () {
+    var stopped = this.backend.stop()
+      .then(this.webhookServer.stop.bind(this.webhookServer))
+      .then(this.appiumLog.close.bind(this.appiumLog))
+      .fin(this._releasePorts.bind(this));
+
+    // remote servers keep running, the backend only ends our own sessions
+    if (!this.backend.local) {
+      return stopped
+        .then(this._afterKill.bind(this))
+        .fin(this.cleanupHooks.remove.bind(this.cleanupHooks));
+    }
+
+    // everything is gone, the next run does not need to clean up after us
+    return stopped
+      .then(this._processes.bind(this))
+      .then(this._kill.bind(this))
+      .then(this.stateFile.remove.bind(this.stateFile))
+      .then(this._afterKill.bind(this))
+      .fin(this.cleanupHooks.remove.bind(this.cleanupHooks));
+  },
+
+  /**
+   * Runs the afterLaunch hook, shuts everything
+   * down if it fails
+   *
+   * @method _afterLaunch
+   * @return {object} promise Resolves when the hook is done
+   * @private
+   */
+
+  _afterLaunch: function () {
+    return this._runHook('afterLaunch').fail(function (err) {
+      var rethrow = function () {
+        throw err;
+      };
+      return this.kill().then(rethrow, rethrow);
+    }.bind(this));
+  },
+
+  /**
+   * Runs a user defined lifecycle hook
+   *
+   * @method _runHook
+   * @param {string} name Name of the hook
+   * @return {object} promise Resolves when the hook is done
+   * @private
+   */
+
+  _runHook: function (name) {
+    if (!this.hooks[name]) {
+      return Q.resolve();
+    }
+
+    this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Running the ' + name + ' hook');
+    return this._hookContext().then(this.userHooks.run.bind(this.userHooks, name));
+  },
+
+  /**
+   * Collects the ports, capabilities & process ids
+   * a lifecycle hook gets to see
+   *
+   * @method _hookContext
+   * @return {object} promise Resolves with the hook context
+   * @private
+   */
+
+  _hookContext: function () {
+    var backend = this.backend;
+    var running = backend && backend.local ? this._processes().fail(function () {
+      return [];
+    }) : Q.resolve([]);
+
+    return running.then(function (pids) {
+      var openProcesses = this.openProcesses || [];
+      return this._lifecyclePayload({
+        capabilities: copy(this.desiredCapabilities),
+        pids: {
+          appium: backend ? backend.pids() : [],
+          simulator: pids.filter(function (pid) {
+            return openProcesses.indexOf(pid) === -1;
+          })
+        }
+      });
+    }.bind(this));
+  },
+
+  /**
+   * Reports the shutdown & writes the metrics file
+   *
+   * @method _afterKill
+   * @return {object} promise Resolves when the metrics have been written
+   * @private
+   */
+
+  _afterKill: function () {
+    this._lifecycle('killed', {duration: this.metrics.stop('shutdown')});
+    return this.metrics.write(this._lifecyclePayload({})).fail(function (err) {
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Could not write the metrics file (' + err.message + ')');
+    }.bind(this));
+  },
+
+  /**
+   * Emits a lifecycle event (driver:ios:<name>)
+   *
+   * @method _lifecycle
+   * @param {string} name Name of the lifecycle step
+   * @param {object} data Step specific payload
+   * @chainable
+   * @private
+   */
+
+  _lifecycle: function (name, data) {
+    this.reporterEvents.emit('driver:ios:' + name, this._lifecyclePayload(data));
+    return this;
+  },
+
+  /**
+   * Adds the browser, device & ports to a lifecycle payload
+   *
+   * @method _lifecyclePayload
+   * @param {object} data Step specific payload
+   * @return {object} Payload
+   * @private
+   */
+
+  _lifecyclePayload: function (data) {
+    var payload = {
+      browser: this.longName,
+      device: this.desiredCapabilities.deviceName,
+      version: this.desiredCapabilities.version,
+      host: this.getHost(),
+      port: this.getPort(),
+      webhookPort: this.backend && this.backend.webhook ? this.getWebhookPort() : null
+    };
+
+    Object.keys(data).forEach(function (key) {
+      payload[key] = data[key];
+    });
+    return payload;
+  },
+
+  /**
+   * Releases the port reservations
+   *
+   * @method _releasePorts
+   * @chainable
+   * @private
+   */
+
+  _releasePorts: function () {
+    if (this.portAllocator) {
+      this.portAllocator.release();
+    }
+    return this;
+  },
+
+  /**
+   * Terminates the simulator processes that
+   * have not been running before the driver started
+   *
+   * @method _kill
+   * @param {array} result List of currently running simulator processes
+   * @return {object} promise Resolves when all processes exited
+   * @private
+   */
+
+  _kill: function (result) {
+    var openProcesses = this.openProcesses || [];
+    var pids = claims.claim(this.run, result.filter(function (pid) {
+      return openProcesses.indexOf(pid) === -1;
+    }));
+
+    return terminator.terminate(pids, this.killGracePeriod)
+      .fail(function (err) {
+        throw new Error('dalek-browser-ios: Could not kill the simulator (' + err.message + ')');
+      })
+      .fin(claims.release.bind(claims, this.run));
+  },
+
+  /**
+   * Checks if dalek runs more than one iOS device
+   * (f.e. `-b ios:iphone,ios:ipad`)
+   *
+   * @method _isMultiDevice
+   * @return {bool} More than one device
+   * @private
+   */
+
+  _isMultiDevice: function () {
+    var browsers = this.config && this.config.get('browser');
+    if (!Array.isArray(browsers)) {
+      return false;
+    }
+
+    return browsers.filter(function (browser) {
+      return String(browser).split(':')[0] === 'ios';
+    }).length > 1;
+  },
+
+  /**
+   * Switches to the reserved appium & webhook ports,
+   * loads a list of running simulator processes
+   *
+   * @method _checkPorts
+   * @param {object} deferred Promise
+   * @param {object} ports Reserved ports (port, webhookPort)
+   * @chainable
+   * @private
+   */
+
+  _checkPorts: function (deferred, ports) {
+    // the attempt might have timed out in the meantime
+    if (!deferred.promise.isPending()) {
+      return this;
+    }
+
+    var duration = this.metrics.stop('portScan');
+
+    // check if the port was blocked & if we need to switch to another port
+    if (this.port !== ports.port) {
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to port: ' + ports.port);
+      this.port = ports.port;
+    }
+
+    // check if the webhook port was blocked & if we need to switch to another port
+    if (this.webhookPort !== ports.webhookPort) {
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to webhook port: ' + ports.webhookPort);
+      this.webhookPort = ports.webhookPort;
+    }
+
+    this._lifecycle('ports-resolved', {duration: duration});
+
+    // launch appium & the emulator
+    this._processes()
+      .fail(function (err) {
+        this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Could not list the simulator processes (' + err.message + ')');
+        return [];
+      }.bind(this))
+      .then(this._listProcesses.bind(this, deferred));
+    return this;
+  },
+
+  /**
+   * Stores open processes,
+   * starts the webhook server & appium
+   *
+   * @method _listProcesses
+   * @param {object} deferred Promise
+   * @param {array} result List of currently running simulator processes
+   * @chainable
+   * @private
+   */
+
+  _listProcesses: function (deferred, result) {
+    var backend = this.backend;
+
+    // the attempt might have timed out in the meantime
+    if (!deferred.promise.isPending()) {
+      return this;
+    }
+
+    // save list of open emulator processes, before we launched it
+    this.openProcesses = result;
+    // let the user prepare the simulator, listen for appiums log messages, run appium
+    this._runHook('beforeLaunch')
+      .then(this.metrics.start.bind(this.metrics, 'appiumBoot'))
+      .then(this._startWebhookServer.bind(this))
+      .then(backend.start.bind(backend, this._loadAppiumArgs(this.appiumArgs)))
+      .then(this._afterAppiumStarted.bind(this, deferred, backend), this._onBootError.bind(this, deferred));
+    return this;
+  },
+
+  /**
+   * Rejects the launch attempt with a typed error
+   *
+   * @method _onBootError
+   * @param {object} deferred Launch attempt promise
+   * @param {Error} err Reason appium did not start
+   * @chainable
+   * @private
+   */
+
+  _onBootError: function (deferred, err) {
+    if (!err.code) {
+      err = new errors.AppiumBootError(err.message, err);
+    }
+
+    deferred.reject(err);
+    return this;
+  },
+
+  /**
+   * Starts the webhook server,
+   * if the backend sends its logs to the webhook port
    *
-   * @property browserTypes
-   * @type object
+   * @method _startWebhookServer
+   * @return {object} promise Resolves when the server is listening
+   * @private
    */
 
-  browserTypes: {
-
-    /**
-     * IPad emulator
-     *
-     * @property ipad
-     * @type object
-     */
-
-    ipad: {
-      name: 'iPad'
+  _startWebhookServer: function () {
+    if (!this.backend.webhook) {
+      return Q.resolve();
     }
 
+    return this.webhookServer.start(this.getHost(), this.getWebhookPort()).fail(function (err) {
+      throw new Error('dalek-browser-ios: Could not listen on webhook port ' + this.getWebhookPort() + ' (' + err.message + ')');
+    }.bind(this));
   },
 
   /**
-   * Resolves the driver port
+   * Resolves the launch promise once the appium server is up,
+   * stops servers that came up after the attempt timed out
    *
-   * @method getPort
-   * @return {integer} port WebDriver server port
+   * @method _afterAppiumStarted
+   * @param {object} deferred Promise
+   * @param {object} backend Backend of the launch attempt
+   * @chainable
+   * @private
    */
 
-  getPort: function () {
-    return this.port;
+  _afterAppiumStarted: function (deferred, backend) {
+    if (!deferred.promise.isPending()) {
+      backend.stop();
+      return this;
+    }
+
+    this._lifecycle('appium-started', {duration: this.metrics.stop('appiumBoot')});
+    deferred.resolve();
+    this._trackState();
+    return this;
   },
 
   /**
-   * Resolves the maximum range for the driver port
+   * Configures appium
    *
-   * @method getMaxPort
-   * @return {integer} port Max WebDriver server port range
+   * @method _loadAppiumArgs
+   * @param {object} appiumArgs Appium specific configuration
+   * @return {object} Modified appium configuration
+   * @private
    */
 
-  getMaxPort: function () {
-    return this.maxPort;
+  _loadAppiumArgs: function (appiumArgs) {
+    appiumArgs.port = this.getPort();
+    appiumArgs.webhook = this.getHost() + ':' + this.getWebhookPort();
+    return appiumArgs;
   },
 
   /**
-   * Resolves the webhook port
+   * Process the user defined host
    *
-   * @method getWebhookPort
-   * @return {integer} WebHook server port
+   * @method _checkHost
+   * @param {object} browser Browser configuration
+   * @chainable
+   * @private
    */
 
-  getWebhookPort: function () {
-    return this.webhookPort;
+  _checkHost: function (browser) {
+    if (browser.ios && browser.ios.host) {
+      this.host = browser.ios.host;
+    }
+
+    return this;
   },
 
   /**
-   * Resolves the maximum range for the webhook port
+   * Process user defined desired capabilities,
+   * the device profile has the last word on the
+   * device, version, orientation & locale
    *
-   * @method getWebhookPort
-   * @return {integer} WebHook Max WebHook port
+   * @method _checkCapabilities
+   * @param {object} browser Browser configuration
+   * @chainable
+   * @private
    */
 
-  getMaxWebhookPort: function () {
-    return this.maxWebhookPort;
+  _checkCapabilities: function (browser) {
+    if (browser.ios && browser.ios.capabilities) {
+      Object.keys(browser.ios.capabilities).forEach(function (key) {
+        this.desiredCapabilities[key] = browser.ios.capabilities[key];
+      }.bind(this));
+    }
+
+    return this;
   },
 
   /**
-   * Returns the driver host
+   * Process user defined ports
    *
-   * @method getHost
-   * @return {string} host WebDriver server hostname
+   * @method _checkUserDefinedPorts
+   * @param {object} browser Browser configuration
+   * @chainable
+   * @private
    */
 
-  getHost: function () {
-    return this.host;
+  _checkUserDefinedPorts: function (browser) {
+    this._checkAppiumPorts(browser);
+    this._checkWebhookPorts(browser);
+
+    if (browser.ios && browser.ios.portLockDir) {
+      this.portLockDir = browser.ios.portLockDir;
+    }
+
+    return this;
   },
 
   /**
-   * Launches appium & corresponding emulator or device,
-   * kicks off the portscanner
+   * Process the user defined appium backend
    *
-   * @method launch
-   * @param {object} configuration Browser configuration
-   * @param {EventEmitter2} events EventEmitter (Reporter Emitter instance)
-   * @param {Dalek.Internal.Config} config Dalek configuration class
-   * @return {object} promise Browser promise
+   * @method _checkBackend
+   * @param {object} browser Browser configuration
+   * @chainable
+   * @private
    */
 
-  launch: function (configuration, events, config) {
-    var deferred = Q.defer();
+  _checkBackend: function (browser) {
+    if (!browser.ios) {
+      return this;
+    }
 
-    // store injected configuration/log event handlers
-    this.reporterEvents = events;
-    this.configuration = configuration;
-    this.config = config;
+    if (browser.ios.backend) {
+      this.backendType = browser.ios.backend;
+    }
+
+    if (browser.ios.appiumBinary) {
+      this.appiumBinary = browser.ios.appiumBinary;
+    }
 
-    // check if the user wants to run the iPad emulator
-    if (configuration && configuration.type === 'ipad') {
-      this.longName = this.longName.replace('iPhone', 'iPad');
-      this.appiumArgs.forceIpad = true;
+    // merge additional appium arguments
+    if (browser.ios.appiumArgs) {
+      Object.keys(browser.ios.appiumArgs).forEach(function (key) {
+        this.appiumArgs[key] = browser.ios.appiumArgs[key];
+      }.bind(this));
     }
 
-    // check for a user set port
-    var browsers = this.config.get('browsers');
-    if (browsers && Array.isArray(browsers)) {
-      browsers.forEach(this._checkUserDefinedPorts.bind(this));
+    // a remote server always uses the remote backend
+    if (browser.ios.remote) {
+      this.backendType = 'remote';
+      this.remote = {
+        host: browser.ios.remote.host || this.host,
+        port: parseInt(browser.ios.remote.port || 4723, 10),
+        path: browser.ios.remote.path || this.path
+      };
     }
 
-    // check if the current port is in use, if so, scan for free ports
-    portscanner.findAPortNotInUse(this.getPort(), this.getMaxPort(), this.getHost(), this._checkPorts.bind(this, deferred));
-    return deferred.promise;
+    return this;
   },
 
   /**
-   * Kills the Appium Server process,
-   * kills simulator processses
-   * with a slight timeout to prevent 
-   * appium from throwing errors
-   * 
-   * @method kill
+   * Process the user defined log options
+   *
+   * @method _checkLogOptions
+   * @param {object} browser Browser configuration
    * @chainable
+   * @private
    */
 
-  kill: function () {
-    // kill appium servers
-    this.appiumServer.webSocket.server.close();
-    this.appiumServer.rest.listen().close();
-    // slight timeout for process killing
-    setTimeout(this._processes.bind(this, this._kill.bind(this)), 1000);
+  _checkLogOptions: function (browser) {
+    if (browser.ios && browser.ios.logLevel) {
+      this.logLevel = browser.ios.logLevel;
+    }
+
+    if (browser.ios && browser.ios.logFile) {
+      this.logFile = browser.ios.logFile;
+    }
+
     return this;
   },
 
   /**
-   * Kills the non blacklisted simulator processes & restores
-   * the stderr handler
+   * Validates the user defined options & environment variables,
+   * reports unknown ones as warnings
    *
-   * @method _kill
-   * @param {object|null} err Error or null
-   * @param {array} result List of currently running simulator processes
+   * @method _validateOptions
+   * @param {array} browsers Browser configurations
+   * @param {object} resolved Resolved options (errors & warnings of the environment variables)
+   * @return {ConfigurationError|null} Error if there are invalid options
+   * @private
+   */
+
+  _validateOptions: function (browsers, resolved) {
+    var messages = [];
+
+    browsers.forEach(function (browser) {
+      if (!browser || browser.ios === undefined) {
+        return;
+      }
+
+      var result = schema.validate(browser.ios);
+      result.warnings.forEach(function (warning) {
+        this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: ' + warning);
+      }.bind(this));
+      messages = messages.concat(result.errors);
+    }.bind(this));
+
+    resolved.warnings.forEach(function (warning) {
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: ' + warning);
+    }.bind(this));
+    messages = messages.concat(resolved.errors);
+
+    if (messages.length === 0) {
+      return null;
+    }
+
+    return new errors.ConfigurationError('dalek-browser-ios: Invalid configuration\n  ' + messages.join('\n  '));
+  },
+
+  /**
+   * Process the user defined simulator process names
+   *
+   * @method _checkSimulatorProcesses
+   * @param {object} browser Browser configuration
    * @chainable
    * @private
    */
 
-  _kill: function (err, result) {
-    // kill simulator processes
-    result.forEach(this._killProcess.bind(this));
-    // (re)establish stderr/stdout stream
-    this._reinstantiateLog();
+  _checkSimulatorProcesses: function (browser) {
+    if (browser.ios && browser.ios.simulatorProcesses) {
+      this.simulatorProcesses = browser.ios.simulatorProcesses;
+    }
+
     return this;
   },
 
   /**
-   * Checks a blacklist & kills the process when
-   * not found
+   * Process the user defined crash recovery options
    *
-   * @method _killProcess
-   * @param {integer} processID Process ID
+   * @method _checkStateOptions
+   * @param {object} browser Browser configuration
    * @chainable
    * @private
    */
 
-  _killProcess: function (processID) {
-    var kill = true;
-
-    // walk through the list of processes that are
-    // open before the driver started
-    this.openProcesses.forEach(function (pid) {
-      if (pid === processID) {
-        kill = false;
-      }
-    });
+  _checkStateOptions: function (browser) {
+    if (browser.ios && browser.ios.stateDir) {
+      this.stateDir = browser.ios.stateDir;
+    }
 
-    if (kill === true) {
-      cp.spawn('kill', [processID]);
+    if (browser.ios && browser.ios.orphans) {
+      this.orphans = browser.ios.orphans;
     }
 
     return this;
   },
 
   /**
-   * Checks & switches the appium server port,
-   * scans the range for the webhook port
+   * Process the user defined device profiles
    *
-   * @method _listProcesses
-   * @param {object} deferred Promise
-   * @param {object|null} err Error or null
-   * @param {integer} port Appium server port to use
+   * @method _checkProfiles
+   * @param {object} browser Browser configuration
    * @chainable
    * @private
    */
 
-  _checkPorts: function (deferred, error, port) {
-    // check if the port was blocked & if we need to switch to another port
-    if (this.port !== port) {
-      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to port: ' + port);
-      this.port = port;
+  _checkProfiles: function (browser) {
+    if (browser.ios && browser.ios.profiles) {
+      this.profiles = browser.ios.profiles;
     }
 
-    // check if the current webhook port is in use, if so, scan for free ports
-    portscanner.findAPortNotInUse(this.getWebhookPort(), this.getMaxWebhookPort(), this.getHost(), this._launch.bind(this, deferred));
     return this;
   },
 
   /**
-   * Checks & switches the webhook port,
-   * loads a list of running simulator processes
+   * Parses the browser type & resolves the device profile,
+   * the version, orientation & locale of the type override
+   * the ones of the profile
    *
-   * @method _listProcesses
-   * @param {object} deferred Promise
-   * @param {object|null} err Error or null
-   * @param {integer} port Webhook port to use
-   * @chainable
+   * @method _resolveProfile
+   * @param {string|undefined} type Browser type
+   * @return {object} Device profile
+   * @throws {Error} If the type is invalid or names an unknown profile
    * @private
    */
 
-  _launch: function (deferred, error, port) {
-    // check if the port was blocked & if we need to switch to another port
-    if (this.webhookPort !== port) {
-      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to webhook port: ' + port);
-      this.webhookPort = port;
+  _resolveProfile: function (type) {
+    var parsed = browserType.parse(type);
+    var profile = profiles.resolve(parsed.device, this.profiles);
+
+    if (!profile) {
+      throw new Error('dalek-browser-ios: Unknown device profile "' + parsed.device + '", use one of: ' + Object.keys(profiles.list(this.profiles)).join(', '));
     }
 
-    // launch appium & the emulator
-    this._processes(this._listProcesses.bind(this, deferred));
-    return this;
+    ['version', 'orientation', 'locale', 'language'].forEach(function (key) {
+      if (parsed[key]) {
+        profile[key] = parsed[key];
+      }
+    });
+
+    return profile;
   },
 
   /**
-   * Stores open processes,
-   * suppresses stdout logs,
-   * starts appium
+   * Applies a device profile to the browser name,
+   * the desired capabilities & the appium arguments
    *
-   * @method _listProcesses
-   * @param {object} deferred Promise
-   * @param {object|null} err Error or null
-   * @param {array} result List of currently running simulator processes
+   * @method _applyProfile
+   * @param {object} profile Device profile
    * @chainable
    * @private
    */
 
-  _listProcesses: function (deferred, err, result) {
-    // save list of open emulator processes, before we launched it
-    this.openProcesses = result;
-    // nasty hack to surpress socket.io debug reports from appium
-    this._suppressAppiumLogs();
-    // run appium
-    appium.run(this._loadAppiumArgs(this.appiumArgs), this._afterAppiumStarted.bind(this, deferred));
+  _applyProfile: function (profile) {
+    this.profile = profile;
+    this.longName = 'Mobile Safari iOS ' + profile.version + ' (' + profile.deviceName + ')';
+    replace(this.desiredCapabilities, profiles.capabilities(profile, this.desiredCapabilities));
+    profiles.appiumArgs(profile, this.appiumArgs);
     return this;
   },
 
   /**
-   * Stores the appium server reference,
-   * restores the stdout logs
+   * Process the user defined launch & kill timings
    *
-   * @method _afterAppiumStarted
-   * @param {object} deferred Promise
-   * @param {object} appiumServer Appium server instance
+   * @method _checkTimings
+   * @param {object} browser Browser configuration
    * @chainable
    * @private
    */
 
-  _afterAppiumStarted: function (deferred, appiumServer) {
-    this.appiumServer = appiumServer;
-    deferred.resolve();
+  _checkTimings: function (browser) {
+    ['killGracePeriod', 'launchTimeout', 'launchRetries'].forEach(function (key) {
+      if (browser.ios && browser.ios[key] !== undefined) {
+        this[key] = parseInt(browser.ios[key], 10);
+      }
+    }.bind(this));
+
     return this;
   },
 
   /**
-   * Configures appium
+   * Process user defined readiness probe options
    *
-   * @method _loadAppiumArgs
-   * @param {object} appiumArgs Appium specific configuration
-   * @return {object} Modified appium configuration
+   * @method _checkReadiness
+   * @param {object} browser Browser configuration
+   * @chainable
    * @private
    */
 
-  _loadAppiumArgs: function (appiumArgs) {
-    appiumArgs.port = this.getPort();
-    appiumArgs.webhook = this.getHost() + ':' + this.getWebhookPort();
-    return appiumArgs;
+  _checkReadiness: function (browser) {
+    if (browser.ios && browser.ios.readiness) {
+      var readiness = browser.ios.readiness;
+      this.readiness = {
+        timeout: readiness.timeout !== undefined ? parseInt(readiness.timeout, 10) : this.readiness.timeout,
+        interval: readiness.interval !== undefined ? parseInt(readiness.interval, 10) : this.readiness.interval,
+        session: readiness.session !== undefined ? readiness.session : this.readiness.session
+      };
+    }
+
+    return this;
   },
 
   /**
-   * Process user defined ports
+   * Process user defined watchdog options
    *
-   * @method _checkUserDefinedPorts
+   * @method _checkWatchdog
    * @param {object} browser Browser configuration
    * @chainable
    * @private
    */
 
-  _checkUserDefinedPorts: function (browser) {
-    this._checkAppiumPorts(browser);
-    this._checkWebhookPorts(browser);
+  _checkWatchdog: function (browser) {
+    if (browser.ios && browser.ios.watchdog) {
+      var watchdog = browser.ios.watchdog;
+      this.watchdog = {
+        interval: watchdog.interval !== undefined ? parseInt(watchdog.interval, 10) : this.watchdog.interval,
+        relaunch: watchdog.relaunch !== undefined ? watchdog.relaunch : this.watchdog.relaunch
+      };
+    }
+
     return this;
   },
 
   /**
-   * Process user defined appium ports
+   * Process the user defined preflight option
    *
-   * @method _checkAppiumPorts
+   * @method _checkPreflight
    * @param {object} browser Browser configuration
    * @chainable
    * @private
    */
 
-  _checkAppiumPorts: function (browser) {
-    // check for a single defined port
-    if (browser.ios && browser.ios.port) {
-      this.port = parseInt(browser.ios.port, 10);
-      this.maxPort = this.port + 90;
-      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to user defined port: ' + this.port);
-    }
-
-    // check for a port range
-    if (browser.ios && browser.ios.portRange && browser.ios.portRange.length === 2) {
-      this.port = parseInt(browser.ios.portRange[0], 10);
-      this.maxPort = parseInt(browser.ios.portRange[1], 10);
-      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to user defined port(s): ' + this.port + ' -> ' + this.maxPort);
+  _checkPreflight: function (browser) {
+    if (browser.ios && browser.ios.preflight !== undefined) {
+      this.preflight = browser.ios.preflight;
     }
 
     return this;
   },
 
   /**
-   * Process user defined webhook ports
+   * Process the user defined daemon options
    *
-   * @method _checkWebhookPorts
+   * @method _checkDaemon
    * @param {object} browser Browser configuration
    * @chainable
    * @private
    */
 
-  _checkWebhookPorts: function (browser) {
-    // check for a single defined webhook port
-    if (browser.ios && browser.ios.webhookPort) {
-      this.webhookPort = parseInt(browser.ios.webhookPort, 10);
-      this.maxWebhookPort = this.webhookPort + 90;
-      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to user defined webhook port: ' + this.webhookPort);
+  _checkDaemon: function (browser) {
+    if (browser.ios && browser.ios.daemon !== undefined) {
+      this.daemon = browser.ios.daemon;
     }
 
-    // check for a webhook port range
-    if (browser.ios && browser.ios.webhookPortRange && browser.ios.webhookPortRange.length === 2) {
-      this.webhookPort = parseInt(browser.ios.webhookPortRange[0], 10);
-      this.maxWebhookPort = parseInt(browser.ios.webhookPortRange[1], 10);
-      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to user defined webhook port(s): ' + this.webhookPort + ' -> ' + this.maxWebhookPort);
+    if (browser.ios && browser.ios.daemonSocket) {
+      this.daemonSocket = browser.ios.daemonSocket;
     }
 
     return this;
   },
 
   /**
-   * Tracks running simulator processes
+   * Process the user defined lifecycle hooks
    *
-   * @method _processes
-   * @param {function} fn Callback
+   * @method _checkHooks
+   * @param {object} browser Browser configuration
    * @chainable
    * @private
    */
 
-  _processes: function (fn) {
-    var cmd = ['ps -ax', '|', 'grep "iPhone Simulator.app"'];
-    cp.exec(cmd.join(' '), this._transformProcesses.bind(this, fn));
+  _checkHooks: function (browser) {
+    UserHooks.prototype.names.forEach(function (name) {
+      if (browser.ios && browser.ios[name]) {
+        this.hooks[name] = browser.ios[name];
+      }
+    }.bind(this));
+
+    if (browser.ios && browser.ios.hookTimeout !== undefined) {
+      this.hookTimeout = parseInt(browser.ios.hookTimeout, 10);
+    }
+
     return this;
   },
 
   /**
-   * Transforms the process list output into
-   * a json structure
-   * 
-   * @method _transformProcesses
-   * @param {function} fn Callback
-   * @param {null|object} err Error if error, null if not
-   * @param {string} stdout Terminal output
+   * Process the user defined metrics file
+   *
+   * @method _checkMetricsFile
+   * @param {object} browser Browser configuration
    * @chainable
    * @private
    */
 
-  _transformProcesses: function(fn, err, stdout){
-    var result = [];
-    stdout.split('\n').forEach(this._scanProcess.bind(this, result));
-    fn(err, result);
+  _checkMetricsFile: function (browser) {
+    if (browser.ios && browser.ios.metricsFile) {
+      this.metricsFile = browser.ios.metricsFile;
+    }
+
     return this;
   },
 
   /**
-   * Scans and transforms the process list
+   * Process user defined appium ports
    *
-   * @method _scanProcess
-   * @param {array} result Transformed result
-   * @param {string} line Process list entry
+   * @method _checkAppiumPorts
+   * @param {object} browser Browser configuration
    * @chainable
    * @private
    */
 
-  _scanProcess: function (result, line){
-    var data = line.split(' ');
-    data = data.filter(this._filterProcessItem);
+  _checkAppiumPorts: function (browser) {
+    // check for a single defined port
+    if (browser.ios && browser.ios.port) {
+      this.port = parseInt(browser.ios.port, 10);
+      this.maxPort = this.port + 90;
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to user defined port: ' + this.port);
+    }
 
-    if (data[1] === '??') {
-      result.push(data[0]);
+    // check for a port range
+    if (browser.ios && browser.ios.portRange && browser.ios.portRange.length === 2) {
+      this.port = parseInt(browser.ios.portRange[0], 10);
+      this.maxPort = parseInt(browser.ios.portRange[1], 10);
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to user defined port(s): ' + this.port + ' -> ' + this.maxPort);
     }
 
     return this;
   },
 
   /**
-   * Filters process list items
+   * Process user defined webhook ports
    *
-   * @method _filterProcessItem
-   * @param {string} item Process list entry
-   * @return {bool|string} Process item or false
+   * @method _checkWebhookPorts
+   * @param {object} browser Browser configuration
+   * @chainable
    * @private
    */
 
-  _filterProcessItem: function (item) {
-    if (item !== '') {
-      return item;
+  _checkWebhookPorts: function (browser) {
+    // check for a single defined webhook port
+    if (browser.ios && browser.ios.webhookPort) {
+      this.webhookPort = parseInt(browser.ios.webhookPort, 10);
+      this.maxWebhookPort = this.webhookPort + 90;
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to user defined webhook port: ' + this.webhookPort);
+    }
+
+    // check for a webhook port range
+    if (browser.ios && browser.ios.webhookPortRange && browser.ios.webhookPortRange.length === 2) {
+      this.webhookPort = parseInt(browser.ios.webhookPortRange[0], 10);
+      this.maxWebhookPort = parseInt(browser.ios.webhookPortRange[1], 10);
+      this.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Switching to user defined webhook port(s): ' + this.webhookPort + ' -> ' + this.maxWebhookPort);
     }
 
-    return false;
+    return this;
   },
 
   /**
-   * Overwrite default stdout & stderr handler
-   * to suppress some appium logs 
+   * Lists the ids of the running simulator processes
    *
-   * @method _suppressAppiumLogs
-   * @chainable
+   * @method _processes
+   * @return {object} promise Resolves with a list of process ids
    * @private
    */
 
-  _suppressAppiumLogs: function () {
-    // TODO: Check if the log level of appium can be set to 0
-    var _supLogs = function (data) {
-      if (data.search('6minfo') === -1 && data.search('33mwarn') === -1 && data.search('90mdebug') === -1) {
-        this.oldWrite.bind(process.stdout)(data);
-      }
-    }.bind(this);
-
-    // store old std. handler
-    this.oldWrite = process.stdout.write;
-    this.oldWriteErr = process.stderr.write;
-
-    // overwrite with ugliness
-    process.stdout.write = _supLogs;
-    process.stderr.write = _supLogs;
-    return this;
+  _processes: function () {
+    return this.inspector.pids();
   },
 
   /**
-   * Reinstantiate stdout handler after appium has
-   * been started
+   * Lists the ids of the simulator processes this run owns,
+   * the simulators of other devices do not count
    *
-   * @method _reinstantiateLog
-   * @chainable
+   * @method _ownProcesses
+   * @return {object} promise Resolves with a list of process ids
    * @private
    */
 
-  _reinstantiateLog: function () {
-    setTimeout(function () {
-      process.stdout.write = this.oldWrite;
-      process.stderr.write = this.oldWriteErr;
-    }.bind(this), 8000);
-    return this;
+  _ownProcesses: function () {
+    var openProcesses = this.openProcesses || [];
+
+    return this._processes().then(function (result) {
+      return claims.claim(this.run, result.filter(function (pid) {
+        return openProcesses.indexOf(pid) === -1;
+      }));
+    }.bind(this));
   }
 
 };
 
-// expose the module
-module.exports = IosDriver;
+// expose a ready to use instance (that is what the dalek plugin loader expects)
+module.exports = new IosDriver({perLaunch: true});
@@ -0,0 +1,301 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+var cp = require('child_process');
+
+// int. libs
+var webdriver = require('../webdriver');
+var terminator = require('../terminator');
+var errors = require('../errors');
+
+/**
+ * Appium log line that signals that the server accepts requests
+ *
+ * @property READY
+ * @type RegExp
+ * @private
+ */
+
+var READY = /listener started|listening/i;
+
+/**
+ * Appium/instruments log lines that signal
+ * that the requested simulator is not installed
+ *
+ * @property SIMULATOR_MISSING
+ * @type RegExp
+ * @private
+ */
+
+var SIMULATOR_MISSING = /could not find (a )?(device|simulator)|unknown device or simulator|invalid device type/i;
+
+/**
+ * Spawns a user configured Appium executable as a child process,
+ * so that the plugin is not bound to the Appium version it ships with
+ *
+ * @module DalekJS
+ * @class BinaryBackend
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} driver IosDriver instance
+ * @constructor
+ */
+
+var BinaryBackend = function (driver) {
+  this.driver = driver;
+  this.binary = driver.appiumBinary;
+  this.child = null;
+  this.exited = false;
+  this.buffers = {stdout: '', stderr: ''};
+};
+
+BinaryBackend.prototype = {
+
+  /**
+   * Appium runs on this machine, the driver
+   * needs to take care of the simulator processes
+   *
+   * @property local
+   * @type bool
+   * @default true
+   */
+
+  local: true,
+
+  /**
+   * The log messages are read from the process output,
+   * appium does not need to send them to the webhook port
+   *
+   * @property webhook
+   * @type bool
+   * @default false
+   */
+
+  webhook: false,
+
+  /**
+   * The spawned appium boots the iOS simulator,
+   * so the host needs the iOS toolchain
+   *
+   * @property simulator
+   * @type bool
+   * @default true
+   */
+
+  simulator: true,
+
+  /**
+   * Interval (in ms) in which the status endpoint
+   * gets polled while appium is booting
+   *
+   * @property probeInterval
+   * @type integer
+   * @default 500
+   */
+
+  probeInterval: 500,
+
+  /**
+   * Spawns the appium binary, resolves when appium
+   * logged that it is listening or answered a status request
+   *
+   * @method start
+   * @param {object} appiumArgs Appium configuration
+   * @return {object} promise Resolves when the appium server is up
+   */
+
+  start: function (appiumArgs) {
+    var deferred = Q.defer();
+    var args = this.buildArgs(appiumArgs, ['webhook']);
+
+    this.driver.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Starting Appium: ' + this.binary + ' ' + args.join(' '));
+    this.child = cp.spawn(this.binary, args);
+    this.child.stdout.on('data', this._onOutput.bind(this, 'stdout', deferred));
+    this.child.stderr.on('data', this._onOutput.bind(this, 'stderr', deferred));
+    this.child.on('error', this._onError.bind(this, deferred));
+    this.child.on('exit', this._onExit.bind(this, deferred));
+
+    this._probe(deferred);
+    return deferred.promise;
+  },
+
+  /**
+   * Ids of the processes the backend spawned
+   *
+   * @method pids
+   * @return {array} Process ids
+   */
+
+  pids: function () {
+    return this.child && !this.exited ? [this.child.pid] : [];
+  },
+
+  /**
+   * Terminates the appium child process,
+   * sends a SIGKILL if it survives the grace period
+   *
+   * @method stop
+   * @return {object} promise Resolves when the process exited
+   */
+
+  stop: function () {
+    if (!this.child || this.exited) {
+      return Q.resolve();
+    }
+
+    return terminator.terminate([this.child.pid], this.driver.killGracePeriod).fail(function (err) {
+      throw new Error('dalek-browser-ios: Could not stop Appium (' + err.message + ')');
+    });
+  },
+
+  /**
+   * Transforms the appium configuration into
+   * command line arguments (`forceIpad: true` -> `--force-ipad`)
+   *
+   * @method buildArgs
+   * @param {object} appiumArgs Appium configuration
+   * @param {array} exclude Keys that should be left out
+   * @return {array} Command line arguments
+   */
+
+  buildArgs: function (appiumArgs, exclude) {
+    var args = [];
+
+    Object.keys(appiumArgs).forEach(function (key) {
+      var value = appiumArgs[key];
+
+      // unset options, disabled flags & excluded keys are left out
+      if (value === null || value === undefined || value === false || (exclude || []).indexOf(key) !== -1) {
+        return;
+      }
+
+      args.push('--' + key.replace(/([A-Z])/g, '-$1').toLowerCase());
+      if (value !== true) {
+        args.push(String(value));
+      }
+    });
+
+    return args;
+  },
+
+  /**
+   * Splits the process output into lines,
+   * feeds them to the log pipeline & checks if appium is ready
+   *
+   * @method _onOutput
+   * @param {string} stream Name of the stream (stdout|stderr)
+   * @param {object} deferred Start promise
+   * @param {Buffer} chunk Process output
+   * @chainable
+   * @private
+   */
+
+  _onOutput: function (stream, deferred, chunk) {
+    var lines = (this.buffers[stream] + chunk.toString()).split('\n');
+    this.buffers[stream] = lines.pop();
+
+    lines.forEach(function (line) {
+      if (line.trim() === '') {
+        return;
+      }
+
+      this.driver.appiumLog.line(line, stream === 'stderr' ? 'error' : 'info');
+      if (READY.test(line)) {
+        deferred.resolve();
+      }
+
+      if (SIMULATOR_MISSING.test(line)) {
+        deferred.reject(new errors.SimulatorNotFoundError('dalek-browser-ios: ' + this.driver.appiumLog.parse(line).message));
+      }
+    }.bind(this));
+
+    return this;
+  },
+
+  /**
+   * Polls the status endpoint until appium answers
+   * or the process died
+   *
+   * @method _probe
+   * @param {object} deferred Start promise
+   * @chainable
+   * @private
+   */
+
+  _probe: function (deferred) {
+    var server = {host: this.driver.getHost(), port: this.driver.getPort(), path: this.driver.path};
+
+    if (!deferred.promise.isPending() || this.exited) {
+      return this;
+    }
+
+    webdriver.status(server).then(deferred.resolve, function () {
+      setTimeout(this._probe.bind(this, deferred), this.probeInterval);
+    }.bind(this));
+
+    return this;
+  },
+
+  /**
+   * Rejects the start promise if the binary could not be spawned
+   *
+   * @method _onError
+   * @param {object} deferred Start promise
+   * @param {Error} err Spawn error
+   * @chainable
+   * @private
+   */
+
+  _onError: function (deferred, err) {
+    this.exited = true;
+    deferred.reject(new errors.AppiumBootError('dalek-browser-ios: Could not start Appium binary "' + this.binary + '" (' + err.message + ')', err));
+    return this;
+  },
+
+  /**
+   * Rejects the start promise if appium exits
+   * before it was ready
+   *
+   * @method _onExit
+   * @param {object} deferred Start promise
+   * @param {integer|null} code Exit code
+   * @param {string|null} signal Signal that terminated the process
+   * @chainable
+   * @private
+   */
+
+  _onExit: function (deferred, code, signal) {
+    this.exited = true;
+    deferred.reject(new errors.AppiumBootError('dalek-browser-ios: Appium exited before it was ready (code: ' + code + ', signal: ' + signal + ')'));
+    return this;
+  }
+
+};
+
+// expose the module
+module.exports = BinaryBackend;
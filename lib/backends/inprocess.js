@@ -0,0 +1,206 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+
+// int. libs
+var errors = require('../errors');
+
+/**
+ * Runs Appium inside of the Dalek process,
+ * using the version that ships with this plugin
+ *
+ * @module DalekJS
+ * @class InProcessBackend
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} driver IosDriver instance
+ * @constructor
+ */
+
+var InProcessBackend = function (driver) {
+  this.driver = driver;
+};
+
+InProcessBackend.prototype = {
+
+  /**
+   * Appium runs on this machine, the driver
+   * needs to take care of the simulator processes
+   *
+   * @property local
+   * @type bool
+   * @default true
+   */
+
+  local: true,
+
+  /**
+   * Appium sends its log messages to the webhook port
+   *
+   * @property webhook
+   * @type bool
+   * @default true
+   */
+
+  webhook: true,
+
+  /**
+   * Appium boots the iOS simulator,
+   * so the host needs the iOS toolchain
+   *
+   * @property simulator
+   * @type bool
+   * @default true
+   */
+
+  simulator: true,
+
+  /**
+   * Keeps appium from logging to the console, starts appium
+   *
+   * @method start
+   * @param {object} appiumArgs Appium configuration
+   * @return {object} promise Resolves when the appium server is up
+   */
+
+  start: function (appiumArgs) {
+    var deferred = Q.defer();
+    // required lazily, only this backend needs appium installed
+    var appium = require('appium/lib/server/main');
+    this.logFactory = require('appium/lib/server/logger');
+    this._captureLogs(this.logFactory);
+    // run appium
+    appium.run(appiumArgs, this._afterAppiumStarted.bind(this, deferred), this._onAppiumStopped.bind(this, deferred));
+    return deferred.promise;
+  },
+
+  /**
+   * Ids of the processes the backend spawned
+   *
+   * @method pids
+   * @return {array} Process ids
+   */
+
+  pids: function () {
+    return [];
+  },
+
+  /**
+   * Closes the appium server sockets,
+   * releases appiums logger
+   *
+   * @method stop
+   * @return {object} promise Resolves when the sockets are closed
+   */
+
+  stop: function () {
+    var deferred = Q.defer();
+
+    if (this.logFactory && this.originalInit) {
+      this.logFactory.init = this.originalInit;
+    }
+
+    if (!this.appiumServer) {
+      deferred.resolve();
+      return deferred.promise;
+    }
+
+    // the rest interface & the websocket share the same http server
+    this.appiumServer.webSocket.server.close(function () {
+      deferred.resolve();
+    });
+    this.appiumServer = null;
+    return deferred.promise;
+  },
+
+  /**
+   * Stores the appium server reference,
+   * silences the socket.io debug reports
+   *
+   * @method _afterAppiumStarted
+   * @param {object} deferred Promise
+   * @param {object} appiumServer Appium server instance
+   * @chainable
+   * @private
+   */
+
+  _afterAppiumStarted: function (deferred, appiumServer) {
+    this.appiumServer = appiumServer;
+    if (appiumServer.webSocket && typeof appiumServer.webSocket.set === 'function') {
+      appiumServer.webSocket.set('log level', 0);
+    }
+    deferred.resolve();
+    return this;
+  },
+
+  /**
+   * Rejects the start promise if appium
+   * stops before it was ready
+   *
+   * @method _onAppiumStopped
+   * @param {object} deferred Promise
+   * @chainable
+   * @private
+   */
+
+  _onAppiumStopped: function (deferred) {
+    deferred.reject(new errors.AppiumBootError('dalek-browser-ios: Appium stopped before it was ready'));
+    return this;
+  },
+
+  /**
+   * Removes the console transport from appiums logger,
+   * the log messages reach the driver through the webhook.
+   * Appium (re)creates its logger when it boots,
+   * so the transport is removed after every init
+   *
+   * @method _captureLogs
+   * @param {object} logFactory Appium logger module
+   * @chainable
+   * @private
+   */
+
+  _captureLogs: function (logFactory) {
+    var init = this.originalInit = logFactory.init;
+
+    logFactory.init = function () {
+      var result = init.apply(logFactory, arguments);
+      var logger = logFactory.get();
+      if (logger.transports.console) {
+        logger.remove({name: 'console'});
+      }
+      return result;
+    };
+
+    return this;
+  }
+
+};
+
+// expose the module
+module.exports = InProcessBackend;
@@ -0,0 +1,202 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+
+// int. libs
+var webdriver = require('../webdriver');
+
+/**
+ * Attaches to an Appium server that is already running,
+ * f.e. on a shared Mac in the network
+ *
+ * @module DalekJS
+ * @class RemoteBackend
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} driver IosDriver instance
+ * @constructor
+ */
+
+var RemoteBackend = function (driver) {
+  this.driver = driver;
+  this.server = driver.remote;
+  this.openSessions = [];
+  this.ownSessions = [];
+  this.creating = false;
+  this.listener = this._onWebdriverLog.bind(this);
+};
+
+RemoteBackend.prototype = {
+
+  /**
+   * Appium & the simulator are not running
+   * on this machine, so hands off the processes
+   *
+   * @property local
+   * @type bool
+   * @default false
+   */
+
+  local: false,
+
+  /**
+   * Appium runs on another machine,
+   * it can not reach our webhook port
+   *
+   * @property webhook
+   * @type bool
+   * @default false
+   */
+
+  webhook: false,
+
+  /**
+   * The simulator runs on the other machine,
+   * this host does not need the iOS toolchain
+   *
+   * @property simulator
+   * @type bool
+   * @default false
+   */
+
+  simulator: false,
+
+  /**
+   * Checks if the remote appium server is reachable,
+   * stores the sessions that are already running on it
+   * & starts to watch for the sessions Dalek opens
+   *
+   * @method start
+   * @return {object} promise Resolves when the server is reachable
+   */
+
+  start: function () {
+    var server = this.server;
+    var url = webdriver.url(server);
+
+    // point the driver at the remote server
+    this.driver.host = server.host;
+    this.driver.port = server.port;
+    this.driver.path = server.path;
+    this.driver.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Using remote Appium server: ' + url);
+
+    // other clients of the server (teammates, daemon clients) open sessions too,
+    // only the ones Dalek opens for this run get ended
+    if (this.driver.reporterEvents.on) {
+      this.driver.reporterEvents.on('report:log:system:webdriver', this.listener);
+    }
+
+    return webdriver.status(server)
+      .then(webdriver.sessions.bind(webdriver, server))
+      .then(function (sessions) {
+        this.openSessions = sessions;
+      }.bind(this))
+      .fail(function (err) {
+        throw new Error('dalek-browser-ios: Remote Appium server at ' + url + ' is not reachable (' + err.message + ')');
+      });
+  },
+
+  /**
+   * Ids of the processes the backend spawned
+   *
+   * @method pids
+   * @return {array} Process ids
+   */
+
+  pids: function () {
+    return [];
+  },
+
+  /**
+   * Ends the sessions on the remote server
+   * that have been opened by this run
+   *
+   * @method stop
+   * @return {object} promise Resolves when the sessions are ended
+   */
+
+  stop: function () {
+    var server = this.server;
+    var ownSessions = this.ownSessions;
+
+    if (this.driver.reporterEvents.removeListener) {
+      this.driver.reporterEvents.removeListener('report:log:system:webdriver', this.listener);
+    }
+
+    return webdriver.sessions(server).then(function (sessions) {
+      var ours = sessions.filter(function (sessionId) {
+        return ownSessions.indexOf(sessionId) !== -1;
+      });
+      return Q.all(ours.map(webdriver.deleteSession.bind(webdriver, server)));
+    }).fail(function (err) {
+      this.driver.reporterEvents.emit('report:log:system', 'dalek-browser-ios: Could not end remote sessions: ' + err.message);
+    }.bind(this));
+  },
+
+  /**
+   * Picks the session ids out of the WebDriver responses Dalek logs
+   * (`webdriver: 200 POST /wd/hub/session`, followed by the response body)
+   *
+   * @method _onWebdriverLog
+   * @param {string} message Log message
+   * @private
+   */
+
+  _onWebdriverLog: function (message) {
+    var body;
+
+    if (typeof message !== 'string' || message.indexOf('webdriver: ') !== 0) {
+      return;
+    }
+
+    message = message.substr('webdriver: '.length);
+    if (/^\d+ [A-Z]+ /.test(message)) {
+      this.creating = message.replace(/^\d+ /, '') === 'POST ' + this.server.path + '/session';
+      return;
+    }
+
+    if (!this.creating) {
+      return;
+    }
+
+    this.creating = false;
+    try {
+      body = JSON.parse(message);
+    } catch (e) {
+      return;
+    }
+
+    if (body && body.sessionId && this.ownSessions.indexOf(body.sessionId) === -1) {
+      this.ownSessions.push(body.sessionId);
+    }
+  }
+
+};
+
+// expose the module
+module.exports = RemoteBackend;
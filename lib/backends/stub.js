@@ -0,0 +1,354 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+var http = require('http');
+
+/**
+ * 1x1 pixel PNG, the canned screenshot
+ *
+ * @property SCREENSHOT
+ * @type string
+ * @private
+ */
+
+var SCREENSHOT = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+/**
+ * JSON Wire Protocol status codes
+ *
+ * @property STATUS
+ * @type object
+ * @private
+ */
+
+var STATUS = {
+  success: 0,
+  noSuchSession: 6,
+  unknownCommand: 9
+};
+
+/**
+ * Fake WebDriver server with canned responses, so that the launch & kill
+ * flow of the plugin can run on hosts without the iOS simulator (f.e. Linux CI).
+ * It runs through the same port scanning, lifecycle events & kill logic
+ * as a real appium server
+ *
+ * @module DalekJS
+ * @class StubBackend
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} driver IosDriver instance
+ * @constructor
+ */
+
+var StubBackend = function (driver) {
+  this.driver = driver;
+  this.server = null;
+  this.sessions = {};
+  this.counter = 0;
+};
+
+StubBackend.prototype = {
+
+  /**
+   * The stub server runs on this machine & takes
+   * the reserved ports, like a local appium would
+   *
+   * @property local
+   * @type bool
+   * @default true
+   */
+
+  local: true,
+
+  /**
+   * The stub server has no log messages to send
+   *
+   * @property webhook
+   * @type bool
+   * @default false
+   */
+
+  webhook: false,
+
+  /**
+   * There is no simulator, the host does not
+   * need the iOS toolchain
+   *
+   * @property simulator
+   * @type bool
+   * @default false
+   */
+
+  simulator: false,
+
+  /**
+   * Canned responses, matched against `<METHOD> <resource>`
+   * (the session id is replaced by :session)
+   *
+   * @property routes
+   * @type object
+   */
+
+  routes: {
+    'GET /status': function () {
+      return {build: {version: 'stub'}};
+    },
+    'GET /sessions': function () {
+      return Object.keys(this.sessions).map(function (id) {
+        return {id: id, capabilities: this.sessions[id].capabilities};
+      }.bind(this));
+    },
+    'GET /session/:session': function (session) {
+      return session.capabilities;
+    },
+    'DELETE /session/:session': function (session) {
+      delete this.sessions[session.id];
+      return null;
+    },
+    'POST /session/:session/url': function (session, body) {
+      session.url = body.url;
+      return null;
+    },
+    'GET /session/:session/url': function (session) {
+      return session.url;
+    },
+    'GET /session/:session/title': function (session) {
+      return session.url === 'about:blank' ? '' : 'Stub page';
+    },
+    'GET /session/:session/source': function () {
+      return '<html><head><title>Stub page</title></head><body></body></html>';
+    },
+    'POST /session/:session/back': function () {
+      return null;
+    },
+    'POST /session/:session/forward': function () {
+      return null;
+    },
+    'POST /session/:session/refresh': function () {
+      return null;
+    },
+    'POST /session/:session/execute': function () {
+      return null;
+    },
+    'GET /session/:session/screenshot': function () {
+      return SCREENSHOT;
+    },
+    'POST /session/:session/element': function () {
+      return {ELEMENT: '1'};
+    },
+    'POST /session/:session/elements': function () {
+      return [{ELEMENT: '1'}];
+    },
+    'POST /session/:session/element/:element/click': function () {
+      return null;
+    },
+    'POST /session/:session/element/:element/value': function () {
+      return null;
+    },
+    'GET /session/:session/element/:element/text': function () {
+      return '';
+    },
+    'GET /session/:session/element/:element/displayed': function () {
+      return true;
+    },
+    'GET /session/:session/element/:element/attribute/:name': function () {
+      return null;
+    }
+  },
+
+  /**
+   * Starts the stub server on the appium port
+   *
+   * @method start
+   * @param {object} appiumArgs Appium configuration (port)
+   * @return {object} promise Resolves when the server is listening
+   */
+
+  start: function (appiumArgs) {
+    var deferred = Q.defer();
+
+    this.server = http.createServer(this._onRequest.bind(this));
+    this.server.on('error', deferred.reject);
+    this.server.listen(appiumArgs.port, this.driver.getHost(), deferred.resolve);
+    return deferred.promise;
+  },
+
+  /**
+   * The stub server runs inside of the Dalek process
+   *
+   * @method pids
+   * @return {array} Process ids
+   */
+
+  pids: function () {
+    return [];
+  },
+
+  /**
+   * Stops the stub server
+   *
+   * @method stop
+   * @return {object} promise Resolves when the server is closed
+   */
+
+  stop: function () {
+    var deferred = Q.defer();
+
+    if (!this.server) {
+      deferred.resolve();
+      return deferred.promise;
+    }
+
+    this.server.close(deferred.resolve.bind(deferred));
+    this.server = null;
+    return deferred.promise;
+  },
+
+  /**
+   * Answers a request with the matching canned response
+   *
+   * @method _onRequest
+   * @param {http.IncomingMessage} req Request
+   * @param {http.ServerResponse} res Response
+   * @chainable
+   * @private
+   */
+
+  _onRequest: function (req, res) {
+    var data = '';
+
+    req.setEncoding('utf8');
+    req.on('data', function (chunk) {
+      data += chunk;
+    });
+    req.on('end', function () {
+      var body;
+      try {
+        body = data ? JSON.parse(data) : {};
+      } catch (e) {
+        body = {};
+      }
+      this._respond(res, req.method, req.url.replace(this.driver.path, ''), body);
+    }.bind(this));
+
+    return this;
+  },
+
+  /**
+   * Routes a command to its canned response
+   *
+   * @method _respond
+   * @param {http.ServerResponse} res Response
+   * @param {string} method HTTP method
+   * @param {string} resource Resource (without the path prefix)
+   * @param {object} body Request payload
+   * @chainable
+   * @private
+   */
+
+  _respond: function (res, method, resource, body) {
+    var parts = resource.split('/');
+    var session = parts[1] === 'session' && parts[2] ? this.sessions[parts[2]] : null;
+
+    // new sessions get the requested capabilities
+    if (method === 'POST' && resource === '/session') {
+      return this._createSession(res, body.desiredCapabilities || {});
+    }
+
+    var route = this._route(method, parts);
+
+    if (!this.routes[route]) {
+      return this._send(res, 404, {sessionId: null, status: STATUS.unknownCommand, value: {message: 'Unknown command: ' + method + ' ' + resource}});
+    }
+
+    if (route.indexOf(':session') !== -1 && !session) {
+      return this._send(res, 404, {sessionId: parts[2], status: STATUS.noSuchSession, value: {message: 'Session not found'}});
+    }
+
+    return this._send(res, 200, {sessionId: session ? session.id : null, status: STATUS.success, value: this.routes[route].call(this, session, body)});
+  },
+
+  /**
+   * Replaces the ids of a resource with placeholders,
+   * so that it matches a route
+   *
+   * @method _route
+   * @param {string} method HTTP method
+   * @param {array} parts Parts of the resource
+   * @return {string} Route
+   * @private
+   */
+
+  _route: function (method, parts) {
+    var placeholders = {session: ':session', element: ':element', attribute: ':name'};
+
+    return method + ' ' + parts.map(function (part, idx) {
+      var placeholder = placeholders[parts[idx - 1]];
+      return idx % 2 === 0 && placeholder ? placeholder : part;
+    }).join('/');
+  },
+
+  /**
+   * Opens a new stub session
+   *
+   * @method _createSession
+   * @param {http.ServerResponse} res Response
+   * @param {object} capabilities Desired capabilities
+   * @chainable
+   * @private
+   */
+
+  _createSession: function (res, capabilities) {
+    var id = 'stub-' + (++this.counter);
+    this.sessions[id] = {id: id, capabilities: capabilities, url: 'about:blank'};
+    return this._send(res, 200, {sessionId: id, status: STATUS.success, value: capabilities});
+  },
+
+  /**
+   * Sends a JSON response
+   *
+   * @method _send
+   * @param {http.ServerResponse} res Response
+   * @param {integer} code HTTP status code
+   * @param {object} payload Response payload
+   * @chainable
+   * @private
+   */
+
+  _send: function (res, code, payload) {
+    res.statusCode = code;
+    res.setHeader('Content-Type', 'application/json;charset=UTF-8');
+    res.end(JSON.stringify(payload));
+    return this;
+  }
+
+};
+
+// expose the module
+module.exports = StubBackend;
@@ -0,0 +1,171 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+/**
+ * Valid orientations
+ *
+ * @property ORIENTATIONS
+ * @type array
+ * @private
+ */
+
+var ORIENTATIONS = ['portrait', 'landscape'];
+
+/**
+ * Matches SDK versions like `7`, `7.1`, `7.x` or `latest`
+ *
+ * @property VERSION
+ * @type RegExp
+ * @private
+ */
+
+var VERSION = /^(latest|\d+(\.\d+)*(\.x)?)$/;
+
+/**
+ * Matches locales like `de` or `de_DE`
+ *
+ * @property LOCALE
+ * @type RegExp
+ * @private
+ */
+
+var LOCALE = /^([a-z]{2})(_[A-Z]{2})?$/;
+
+/**
+ * Parses the browser type given on the command line,
+ * f.e. `ios:ipad@7.1:landscape:de_DE`
+ *
+ * ```
+ * <device>[@<version>][:<orientation>][:<locale>]
+ * ```
+ *
+ * @module DalekJS
+ * @class BrowserType
+ * @namespace Browser.iOS
+ * @part iOS
+ */
+
+var BrowserType = {
+
+  /**
+   * Parses a browser type string
+   *
+   * @method parse
+   * @param {string|undefined} type Browser type (with or without the leading `ios:`)
+   * @return {object} Parsed type (device, version, orientation, locale, language)
+   * @throws {Error} If the type contains an invalid token
+   */
+
+  parse: function (type) {
+    var tokens = String(type || '').split(':');
+    var result = {device: null, version: null, orientation: null, locale: null, language: null};
+
+    if (tokens[0].toLowerCase() === 'ios') {
+      tokens.shift();
+    }
+
+    this._parseDevice(tokens.shift() || '', result, type);
+    tokens.forEach(this._parseToken.bind(this, result, type));
+    return result;
+  },
+
+  /**
+   * Parses the `<device>[@<version>]` part
+   *
+   * @method _parseDevice
+   * @param {string} token Device token
+   * @param {object} result Parsed type
+   * @param {string} type Complete browser type (for error messages)
+   * @chainable
+   * @private
+   */
+
+  _parseDevice: function (token, result, type) {
+    var chunks = token.split('@');
+
+    if (chunks.length > 2) {
+      throw this._error(type, token, 'only one @<version> is allowed');
+    }
+
+    result.device = chunks[0] ? chunks[0].toLowerCase() : null;
+
+    if (chunks.length === 2) {
+      if (!VERSION.test(chunks[1])) {
+        throw this._error(type, chunks[1], 'expected an iOS version like 7.1, 7.x or latest');
+      }
+      result.version = chunks[1];
+    }
+
+    return this;
+  },
+
+  /**
+   * Parses an orientation or locale token
+   *
+   * @method _parseToken
+   * @param {object} result Parsed type
+   * @param {string} type Complete browser type (for error messages)
+   * @param {string} token Token
+   * @chainable
+   * @private
+   */
+
+  _parseToken: function (result, type, token) {
+    var locale = token.match(LOCALE);
+
+    if (ORIENTATIONS.indexOf(token.toLowerCase()) !== -1 && !result.orientation) {
+      result.orientation = token.toLowerCase();
+      return this;
+    }
+
+    if (locale && !result.locale) {
+      result.locale = token;
+      result.language = locale[1];
+      return this;
+    }
+
+    throw this._error(type, token, 'expected one of ' + ORIENTATIONS.join(', ') + ' or a locale like de_DE');
+  },
+
+  /**
+   * Creates a parse error
+   *
+   * @method _error
+   * @param {string} type Complete browser type
+   * @param {string} token Invalid token
+   * @param {string} hint What was expected instead
+   * @return {Error} error
+   * @private
+   */
+
+  _error: function (type, token, hint) {
+    return new Error('dalek-browser-ios: Invalid token "' + token + '" in browser type "' + type + '", ' + hint);
+  }
+
+};
+
+// expose the module
+module.exports = BrowserType;
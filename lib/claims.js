@@ -0,0 +1,88 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+/**
+ * Keeps track of the simulator processes the runs
+ * of one Dalek process own, so that a run never
+ * kills the simulator of another device.
+ * A new process belongs to the first run that claims it
+ *
+ * @module DalekJS
+ * @class ProcessClaims
+ * @namespace Browser.iOS
+ * @part iOS
+ */
+
+var ProcessClaims = {
+
+  /**
+   * Owners of the claimed processes (pid -> run)
+   *
+   * @property owners
+   * @type object
+   */
+
+  owners: {},
+
+  /**
+   * Claims processes for a run
+   *
+   * @method claim
+   * @param {integer} run Number of the run
+   * @param {array} pids Process ids
+   * @return {array} Process ids the run owns
+   */
+
+  claim: function (run, pids) {
+    return pids.filter(function (pid) {
+      if (this.owners[pid] === undefined) {
+        this.owners[pid] = run;
+      }
+      return this.owners[pid] === run;
+    }.bind(this));
+  },
+
+  /**
+   * Releases all processes of a run
+   *
+   * @method release
+   * @param {integer} run Number of the run
+   * @chainable
+   */
+
+  release: function (run) {
+    Object.keys(this.owners).forEach(function (pid) {
+      if (this.owners[pid] === run) {
+        delete this.owners[pid];
+      }
+    }.bind(this));
+    return this;
+  }
+
+};
+
+// expose the module
+module.exports = ProcessClaims;
@@ -0,0 +1,188 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+
+/**
+ * Throws an error outside of the promise chain,
+ * so that node reports it & exits
+ *
+ * @method rethrow
+ * @param {Error} err Error
+ * @private
+ */
+
+var rethrow = function (err) {
+  setImmediate(function () {
+    throw err;
+  });
+};
+
+/**
+ * Runs a best effort shutdown if the Dalek process gets interrupted
+ * (SIGINT, SIGTERM) or an exception escapes, so that appium &
+ * the simulator are not left running
+ *
+ * @module DalekJS
+ * @class CleanupHooks
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {function} shutdown Shutdown routine, may return a promise
+ * @param {object} options Hook options (timeout, rethrow, raise, listeners)
+ * @constructor
+ */
+
+var CleanupHooks = function (shutdown, options) {
+  options = options || {};
+  this.shutdown = shutdown;
+  this.timeout = options.timeout || 10000;
+  this.rethrow = options.rethrow || rethrow;
+  this.raise = options.raise || process.kill.bind(process, process.pid);
+  this.listeners = options.listeners || process.listeners.bind(process);
+  this.handlers = {};
+  this.running = false;
+};
+
+CleanupHooks.prototype = {
+
+  /**
+   * Signals that trigger the shutdown
+   *
+   * @property signals
+   * @type array
+   */
+
+  signals: ['SIGINT', 'SIGTERM'],
+
+  /**
+   * Registers the signal & exception handlers
+   *
+   * @method register
+   * @chainable
+   */
+
+  register: function () {
+    this.remove();
+
+    this.signals.forEach(function (signal) {
+      this.handlers[signal] = this._onSignal.bind(this, signal);
+    }.bind(this));
+    this.handlers.uncaughtException = this._onException.bind(this);
+
+    Object.keys(this.handlers).forEach(function (event) {
+      process.on(event, this.handlers[event]);
+    }.bind(this));
+
+    return this;
+  },
+
+  /**
+   * Removes the signal & exception handlers
+   *
+   * @method remove
+   * @chainable
+   */
+
+  remove: function () {
+    Object.keys(this.handlers).forEach(function (event) {
+      process.removeListener(event, this.handlers[event]);
+    }.bind(this));
+
+    this.handlers = {};
+    return this;
+  },
+
+  /**
+   * Shuts down & re-raises the signal, so that the process
+   * terminates as it would have done without the handler.
+   * A second signal skips the shutdown
+   *
+   * @method _onSignal
+   * @param {string} signal Signal name
+   * @return {object} promise
+   * @private
+   */
+
+  _onSignal: function (signal) {
+    // the user hit ctrl+c twice, give up on the shutdown
+    if (this.running) {
+      this.remove();
+      this.raise(signal);
+      return Q.resolve();
+    }
+
+    return this._run().then(function () {
+      if (this.listeners(signal).length === 0) {
+        this.raise(signal);
+      }
+    }.bind(this));
+  },
+
+  /**
+   * Shuts down & rethrows the exception, so that the process
+   * terminates as it would have done without the handler,
+   * unless someone else takes care of uncaught exceptions
+   *
+   * @method _onException
+   * @param {Error} err Uncaught exception
+   * @return {object} promise
+   * @private
+   */
+
+  _onException: function (err) {
+    return this._run().then(function () {
+      if (this.listeners('uncaughtException').length === 0) {
+        this.rethrow(err);
+      }
+    }.bind(this));
+  },
+
+  /**
+   * Runs the shutdown routine once, errors & timeouts are ignored,
+   * removes the handlers afterwards
+   *
+   * @method _run
+   * @return {object} promise Resolves when the shutdown is done
+   * @private
+   */
+
+  _run: function () {
+    if (this.running) {
+      return Q.resolve();
+    }
+
+    this.running = true;
+    return Q.fcall(this.shutdown)
+      .timeout(this.timeout)
+      .fail(function () {})
+      .fin(this.remove.bind(this));
+  }
+
+};
+
+// expose the module
+module.exports = CleanupHooks;
@@ -0,0 +1,515 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// int. libs
+var schema = require('./schema');
+var browserType = require('./browsertype');
+
+/**
+ * Prefix of the environment variables
+ *
+ * @property PREFIX
+ * @type string
+ * @private
+ */
+
+var PREFIX = 'DALEK_IOS_';
+
+/**
+ * Options with free form keys, every key gets its
+ * own environment variable (f.e. `DALEK_IOS_APPIUM_ARGS_FULL_RESET`)
+ *
+ * @property OPEN
+ * @type array
+ * @private
+ */
+
+var OPEN = ['appiumArgs', 'capabilities'];
+
+/**
+ * Options that replace others of the Dalekfile,
+ * f.e. a port from the environment wins over the port range of the Dalekfile
+ *
+ * @property REPLACES
+ * @type object
+ * @private
+ */
+
+var REPLACES = {
+  port: ['portRange'],
+  portRange: ['port'],
+  webhookPort: ['webhookPortRange'],
+  webhookPortRange: ['webhookPort'],
+  backend: ['remote']
+};
+
+/**
+ * Effective values that are derived from other options,
+ * used to look up where a value came from
+ *
+ * @property DERIVED
+ * @type object
+ * @private
+ */
+
+var DERIVED = {
+  port: ['portRange', 'port'],
+  maxPort: ['portRange', 'port'],
+  webhookPort: ['webhookPortRange', 'webhookPort'],
+  maxWebhookPort: ['webhookPortRange', 'webhookPort'],
+  backend: ['remote', 'backend'],
+  'profile.deviceName': ['profile.device'],
+  'profile.language': ['profile.locale'],
+  'capabilities.device': ['profile.device'],
+  'capabilities.deviceName': ['profile.device'],
+  'capabilities.version': ['profile.version'],
+  'capabilities.platformVersion': ['profile.version'],
+  'capabilities.orientation': ['profile.orientation'],
+  'capabilities.locale': ['profile.locale'],
+  'capabilities.language': ['profile.locale'],
+  'appiumArgs.forceIphone': ['profile.device'],
+  'appiumArgs.forceIpad': ['profile.device'],
+  'appiumArgs.orientation': ['profile.orientation'],
+  'appiumArgs.port': ['portRange', 'port'],
+  'appiumArgs.webhook': ['webhookPortRange', 'webhookPort', 'host']
+};
+
+/**
+ * Resolves the options of a run from its layers, every layer
+ * overrides the ones before:
+ *
+ * 1. the built in defaults
+ * 2. the `browsers.ios` block(s) of the Dalekfile
+ * 3. `DALEK_IOS_*` environment variables
+ * 4. the browser type given on the command line (f.e. `ios:ipad@7.1:landscape`)
+ *
+ * It remembers where every option came from,
+ * so that the effective configuration can be printed
+ *
+ * @module DalekJS
+ * @class Config
+ * @namespace Browser.iOS
+ * @part iOS
+ */
+
+var Config = {
+
+  /**
+   * Prefix of the environment variables
+   *
+   * @property prefix
+   * @type string
+   */
+
+  prefix: PREFIX,
+
+  /**
+   * Merges the Dalekfile & environment layers,
+   * adds the sources of the browser type
+   *
+   * @method resolve
+   * @param {array} browsers Browser configurations of the Dalekfile
+   * @param {object} env Environment variables
+   * @param {string|undefined} type Browser type
+   * @return {object} Result (options, sources, errors, warnings)
+   */
+
+  resolve: function (browsers, env, type) {
+    var result = {options: {}, sources: {}, errors: [], warnings: []};
+    var environment = this.environment(env);
+
+    (browsers || []).forEach(function (browser) {
+      if (browser && schema._isObject(browser.ios)) {
+        this._mergeLayer(result, browser.ios, [], 'Dalekfile');
+      }
+    }.bind(this));
+
+    environment.variables.forEach(function (variable) {
+      this._replace(result, variable.path);
+      this._mergeLayer(result, variable.value, variable.path, variable.name);
+    }.bind(this));
+
+    result.errors = environment.errors;
+    result.warnings = environment.warnings;
+    this._typeSources(result.sources, type);
+    return result;
+  },
+
+  /**
+   * Reads & type checks the `DALEK_IOS_*` environment variables,
+   * unknown variables produce a warning
+   *
+   * @method environment
+   * @param {object} env Environment variables
+   * @return {object} Result (variables, errors, warnings)
+   */
+
+  environment: function (env) {
+    var result = {variables: [], errors: [], warnings: []};
+    var declarations = this.declarations();
+
+    Object.keys(env || {}).sort().forEach(function (name) {
+      if (name.indexOf(PREFIX) !== 0 || env[name] === '') {
+        return;
+      }
+
+      var declaration = declarations[name] || this._openDeclaration(name);
+      if (!declaration) {
+        result.warnings.push('Unknown environment variable "' + name + '" will be ignored');
+        return;
+      }
+
+      var value = this._coerce(env[name], declaration.declaration);
+      var check = schema.types[declaration.declaration.type];
+      var error = check ? check.call(schema, value, declaration.declaration) : null;
+      if (error) {
+        result.errors.push('Invalid value ' + JSON.stringify(env[name]) + ' for "' + name + '": ' + error);
+        return;
+      }
+
+      result.variables.push({name: name, path: declaration.path, value: value});
+    }.bind(this));
+
+    return result;
+  },
+
+  /**
+   * Lists the environment variables of the declared options
+   *
+   * @method declarations
+   * @return {object} Declarations by variable name (path, declaration)
+   */
+
+  declarations: function () {
+    var declarations = {};
+
+    Object.keys(schema.options).forEach(function (key) {
+      var declaration = schema.options[key];
+
+      // profiles are too deeply nested for environment variables
+      if (declaration.type === 'map') {
+        return;
+      }
+
+      declarations[this.variable(key)] = {path: [key], declaration: declaration};
+      Object.keys(declaration.properties || {}).forEach(function (property) {
+        declarations[this.variable(key + '.' + property)] = {path: [key, property], declaration: declaration.properties[property]};
+      }.bind(this));
+    }.bind(this));
+
+    return declarations;
+  },
+
+  /**
+   * Builds the name of the environment variable of an option,
+   * f.e. `readiness.timeout` becomes `DALEK_IOS_READINESS_TIMEOUT`
+   *
+   * @method variable
+   * @param {string} path Option key
+   * @return {string} Variable name
+   */
+
+  variable: function (path) {
+    return PREFIX + path.split('.').map(function (key) {
+      return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+    }).join('_');
+  },
+
+  /**
+   * Formats the effective configuration,
+   * one option (with its source) per line
+   *
+   * @method format
+   * @param {object} effective Effective configuration
+   * @param {object} sources Sources by option key
+   * @return {string} Report
+   */
+
+  format: function (effective, sources) {
+    return this._flatten(effective, []).map(function (entry) {
+      return entry.path + ': ' + JSON.stringify(entry.value) + ' (' + this.source(entry.path, sources) + ')';
+    }.bind(this)).join('\n');
+  },
+
+  /**
+   * Looks up where an effective value came from
+   *
+   * @method source
+   * @param {string} path Option key
+   * @param {object} sources Sources by option key
+   * @return {string} Source (default, Dalekfile, variable name or browser type)
+   */
+
+  source: function (path, sources) {
+    var candidates = (DERIVED[path] || []).concat([path]);
+
+    for (var i = 0; i < candidates.length; i++) {
+      var source = this._lookup(candidates[i], sources);
+      if (source) {
+        return source;
+      }
+    }
+
+    return 'default';
+  },
+
+  /**
+   * Finds the declaration of a free form key,
+   * f.e. `DALEK_IOS_APPIUM_ARGS_FULL_RESET` (appiumArgs.fullReset)
+   *
+   * @method _openDeclaration
+   * @param {string} name Variable name
+   * @return {object|null} Declaration (path, declaration)
+   * @private
+   */
+
+  _openDeclaration: function (name) {
+    for (var i = 0; i < OPEN.length; i++) {
+      var prefix = this.variable(OPEN[i]) + '_';
+      if (name.indexOf(prefix) === 0 && name.length > prefix.length) {
+        return {path: [OPEN[i], this._camelCase(name.substr(prefix.length))], declaration: {type: 'value'}};
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Converts the string of an environment variable
+   * into the type of its option (invalid values are kept as they are,
+   * so that the type check can report them)
+   *
+   * @method _coerce
+   * @param {string} value Variable value
+   * @param {object} declaration Option declaration
+   * @return {mixed} Value
+   * @private
+   */
+
+  _coerce: function (value, declaration) {
+    switch (declaration.type) {
+    case 'integer':
+    case 'port':
+      return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+    case 'boolean':
+    case 'value':
+      return {'true': true, 'false': false}.hasOwnProperty(value) ? value === 'true' : value;
+    case 'range':
+      return /^\d+\s*[-,]\s*\d+$/.test(value) ? value.split(/\s*[-,]\s*/).map(Number) : value;
+    case 'strings':
+      return value.split(',').map(function (item) {
+        return item.trim();
+      });
+    case 'object':
+      return this._parse(value);
+    default:
+      return value;
+    }
+  },
+
+  /**
+   * Parses a JSON value, falls back
+   * to the raw string if it is no valid JSON
+   *
+   * @method _parse
+   * @param {string} value Variable value
+   * @return {object|string} Parsed value
+   * @private
+   */
+
+  _parse: function (value) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  },
+
+  /**
+   * Merges the values of a layer into the result,
+   * remembers the source of every value
+   *
+   * @method _mergeLayer
+   * @param {object} result Resolved options (options, sources)
+   * @param {mixed} value Value of the layer
+   * @param {array} path Option key
+   * @param {string} source Name of the layer
+   * @chainable
+   * @private
+   */
+
+  _mergeLayer: function (result, value, path, source) {
+    if (schema._isObject(value) && (path.length === 0 || this._isNested(path))) {
+      Object.keys(value).forEach(function (key) {
+        this._mergeLayer(result, value[key], path.concat([key]), source);
+      }.bind(this));
+      return this;
+    }
+
+    var target = result.options;
+    path.slice(0, -1).forEach(function (key) {
+      target[key] = schema._isObject(target[key]) ? target[key] : {};
+      target = target[key];
+    });
+
+    target[path[path.length - 1]] = value;
+    result.sources[path.join('.')] = source;
+    return this;
+  },
+
+  /**
+   * Checks if the keys of an option are merged one by one,
+   * instead of replacing the option as a whole
+   *
+   * @method _isNested
+   * @param {array} path Option key
+   * @return {bool} Merge the keys
+   * @private
+   */
+
+  _isNested: function (path) {
+    var declaration = schema.options[path[0]];
+    return path.length === 1 && !!declaration && (declaration.type === 'object' || declaration.type === 'map');
+  },
+
+  /**
+   * Drops the Dalekfile options that would otherwise
+   * win over the one of an environment variable
+   *
+   * @method _replace
+   * @param {object} result Resolved options (options, sources)
+   * @param {array} path Option key
+   * @chainable
+   * @private
+   */
+
+  _replace: function (result, path) {
+    (REPLACES[path[0]] || []).forEach(function (key) {
+      if (this._lookup(key, result.sources) !== 'Dalekfile') {
+        return;
+      }
+
+      delete result.options[key];
+      Object.keys(result.sources).forEach(function (option) {
+        if (option === key || option.indexOf(key + '.') === 0) {
+          delete result.sources[option];
+        }
+      });
+    }.bind(this));
+
+    return this;
+  },
+
+  /**
+   * Adds the sources of the values the browser type sets
+   *
+   * @method _typeSources
+   * @param {object} sources Sources by option key
+   * @param {string|undefined} type Browser type
+   * @chainable
+   * @private
+   */
+
+  _typeSources: function (sources, type) {
+    var parsed;
+
+    try {
+      parsed = browserType.parse(type);
+    } catch (e) {
+      // invalid types are reported when the profile gets resolved
+      return this;
+    }
+
+    ['device', 'version', 'orientation', 'locale'].forEach(function (key) {
+      if (parsed[key]) {
+        sources['profile.' + key] = 'browser type';
+      }
+    });
+
+    return this;
+  },
+
+  /**
+   * Finds the source of an option or of one of its keys
+   *
+   * @method _lookup
+   * @param {string} path Option key
+   * @param {object} sources Sources by option key
+   * @return {string|undefined} Source
+   * @private
+   */
+
+  _lookup: function (path, sources) {
+    if (sources[path]) {
+      return sources[path];
+    }
+
+    var nested = Object.keys(sources).filter(function (option) {
+      return option.indexOf(path + '.') === 0;
+    });
+
+    return nested.length ? sources[nested[0]] : undefined;
+  },
+
+  /**
+   * Flattens an object into a list of keys & values
+   *
+   * @method _flatten
+   * @param {object} value Object
+   * @param {array} path Key prefix
+   * @return {array} Entries (path, value)
+   * @private
+   */
+
+  _flatten: function (value, path) {
+    if (!schema._isObject(value) || (path.length && Object.keys(value).length === 0)) {
+      return [{path: path.join('.'), value: value}];
+    }
+
+    return Object.keys(value).reduce(function (entries, key) {
+      return entries.concat(this._flatten(value[key], path.concat([key])));
+    }.bind(this), []);
+  },
+
+  /**
+   * Converts `FULL_RESET` into `fullReset`
+   *
+   * @method _camelCase
+   * @param {string} name Upper case name
+   * @return {string} Camel cased name
+   * @private
+   */
+
+  _camelCase: function (name) {
+    return name.toLowerCase().replace(/_([a-z0-9])/g, function (match, letter) {
+      return letter.toUpperCase();
+    });
+  }
+
+};
+
+// expose the module
+module.exports = Config;
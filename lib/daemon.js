@@ -0,0 +1,278 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+var fs = require('fs');
+var os = require('os');
+var net = require('net');
+var path = require('path');
+var cp = require('child_process');
+
+/**
+ * Keeps Appium & the simulator running between Dalek runs.
+ * The daemon is a detached node process, that launches Appium
+ * via the standalone API & answers commands (status, stop)
+ * on a local control socket (one JSON message per line)
+ *
+ * @module DalekJS
+ * @class Daemon
+ * @namespace Browser.iOS
+ * @part iOS
+ */
+
+var Daemon = {
+
+  /**
+   * Default location of the control socket
+   *
+   * @property socket
+   * @type string
+   */
+
+  socket: path.join(os.tmpdir(), 'dalek-browser-ios-daemon.sock'),
+
+  /**
+   * Interval (in ms) in which a starting daemon gets asked for its status
+   *
+   * @property pollInterval
+   * @type integer
+   * @default 250
+   */
+
+  pollInterval: 250,
+
+  /**
+   * Sends a command to the daemon
+   *
+   * @method request
+   * @param {string} socket Control socket
+   * @param {string} command Command (status or stop)
+   * @return {object} promise Resolves with the answer, rejects if no daemon is listening
+   */
+
+  request: function (socket, command) {
+    var deferred = Q.defer();
+    var data = '';
+    var client = net.connect(socket, function () {
+      client.end(JSON.stringify({command: command}) + '\n');
+    });
+
+    client.setEncoding('utf8');
+    client.on('data', function (chunk) {
+      data += chunk;
+    });
+    client.on('error', deferred.reject);
+    client.on('end', function () {
+      var answer;
+      try {
+        answer = JSON.parse(data);
+      } catch (e) {
+        return deferred.reject(new Error('Invalid answer from the daemon: ' + data));
+      }
+      return answer.ok ? deferred.resolve(answer.result) : deferred.reject(new Error(answer.error));
+    });
+
+    return deferred.promise;
+  },
+
+  /**
+   * Listens for commands on the control socket,
+   * rejects if another daemon answers on it
+   *
+   * @method serve
+   * @param {string} socket Control socket
+   * @param {object} handlers Command handlers (return a value or a promise)
+   * @return {object} promise Resolves with the server, when it is listening
+   */
+
+  serve: function (socket, handlers) {
+    return this.request(socket, 'status').then(function (status) {
+      throw new Error('dalek-browser-ios: Another daemon (pid ' + status.pid + ') is listening on ' + socket);
+    }, function (err) {
+      // a daemon that crashed leaves its socket behind
+      if (err.code === 'ECONNREFUSED') {
+        fs.unlinkSync(socket);
+      } else if (err.code !== 'ENOENT') {
+        throw err;
+      }
+      return this._listen(socket, handlers);
+    }.bind(this));
+  },
+
+  /**
+   * Creates the control socket
+   *
+   * @method _listen
+   * @param {string} socket Control socket
+   * @param {object} handlers Command handlers
+   * @return {object} promise Resolves with the server, when it is listening
+   * @private
+   */
+
+  _listen: function (socket, handlers) {
+    var deferred = Q.defer();
+    // clients end their side after sending the command, the answer might take a while
+    var server = net.createServer({allowHalfOpen: true});
+    server.on('connection', this._onConnection.bind(this, handlers, server));
+    server.on('error', deferred.reject);
+    server.listen(socket, deferred.resolve.bind(deferred, server));
+    return deferred.promise;
+  },
+
+  /**
+   * Spawns a detached daemon process & waits
+   * until it answers on the control socket
+   *
+   * @method spawn
+   * @param {string} socket Control socket
+   * @param {object} options Driver options (the browsers.ios block plus the type)
+   * @param {integer} timeout Time (in ms) the daemon gets to start
+   * @return {object} promise Resolves with the status of the daemon
+   */
+
+  spawn: function (socket, options, timeout) {
+    var bin = path.join(__dirname, '..', 'bin', 'dalek-browser-ios');
+    var child = cp.spawn(process.execPath, [bin, 'daemon', 'run', socket, JSON.stringify(options)], {
+      detached: true,
+      stdio: 'ignore'
+    });
+
+    child.unref();
+    return this._waitFor(socket, Date.now() + timeout, timeout);
+  },
+
+  /**
+   * Launches the driver & serves the control socket,
+   * runs inside of the daemon process. If another daemon
+   * took the socket in the meantime, the driver is stopped again
+   *
+   * @method run
+   * @param {string} socket Control socket
+   * @param {object} options Driver options (the browsers.ios block plus the type)
+   * @return {object} promise Resolves when the daemon is listening
+   */
+
+  run: function (socket, options) {
+    var driver = require('../index').create();
+
+    return driver.start(options).then(function (server) {
+      return this.serve(socket, {
+        status: function () {
+          return {pid: process.pid, type: options.type || null, host: driver.getHost(), port: server.port, path: driver.path, webhookPort: server.webhookPort};
+        },
+        stop: function (control) {
+          return server.stop().fin(function () {
+            control.close();
+            setTimeout(process.exit.bind(process, 0), 100);
+          });
+        }
+      }).fail(function (err) {
+        return server.stop().fin(function () {
+          throw err;
+        });
+      });
+    }.bind(this));
+  },
+
+  /**
+   * Asks the daemon for its status until it answers
+   *
+   * @method _waitFor
+   * @param {string} socket Control socket
+   * @param {integer} deadline Timestamp after which we give up
+   * @param {integer} timeout Time (in ms) the daemon got to start
+   * @return {object} promise Resolves with the status of the daemon
+   * @private
+   */
+
+  _waitFor: function (socket, deadline, timeout) {
+    return this.request(socket, 'status').fail(function () {
+      if (Date.now() > deadline) {
+        throw new Error('dalek-browser-ios: The daemon did not start within ' + timeout + 'ms (use the logFile option to find out why)');
+      }
+      return Q.delay(this.pollInterval).then(this._waitFor.bind(this, socket, deadline, timeout));
+    }.bind(this));
+  },
+
+  /**
+   * Answers a single command
+   *
+   * @method _onConnection
+   * @param {object} handlers Command handlers
+   * @param {net.Server} server Control socket server
+   * @param {net.Socket} connection Client connection
+   * @chainable
+   * @private
+   */
+
+  _onConnection: function (handlers, server, connection) {
+    var data = '';
+    var parse = this._parse;
+
+    connection.setEncoding('utf8');
+    connection.on('data', function (chunk) {
+      data += chunk;
+    });
+    connection.on('end', function () {
+      var command = parse(data);
+      var handler = handlers[command];
+
+      if (!handler) {
+        return connection.end(JSON.stringify({ok: false, error: 'Unknown command "' + command + '"'}) + '\n');
+      }
+
+      Q.fcall(handler, {close: server.close.bind(server)}).then(function (result) {
+        connection.end(JSON.stringify({ok: true, result: result === undefined ? null : result}) + '\n');
+      }, function (err) {
+        connection.end(JSON.stringify({ok: false, error: err.message}) + '\n');
+      });
+    });
+
+    return this;
+  },
+
+  /**
+   * Reads the command of a message
+   *
+   * @method _parse
+   * @param {string} data Message
+   * @return {string|null} Command
+   * @private
+   */
+
+  _parse: function (data) {
+    try {
+      return JSON.parse(data).command;
+    } catch (e) {
+      return null;
+    }
+  }
+
+};
+
+// expose the module
+module.exports = Daemon;
@@ -0,0 +1,258 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+var portscanner = require('portscanner');
+
+// int. libs
+var webdriver = require('./webdriver');
+var exec = require('./exec');
+var sdk = require('./sdk');
+
+/**
+ * Names of the host operating systems
+ *
+ * @property OS_NAMES
+ * @type object
+ * @private
+ */
+
+var OS_NAMES = {
+  darwin: 'Mac OSX',
+  linux: 'Linux',
+  win32: 'Windows',
+  freebsd: 'FreeBSD',
+  sunos: 'SunOS'
+};
+
+/**
+ * Checks the host & the iOS toolchain before anything gets launched
+ * (host OS, Xcode, instruments, simulator SDKs, ports, Node & the backend).
+ * Every check results in a pass, a warning or a failure
+ *
+ * @module DalekJS
+ * @class Doctor
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} options Doctor options (exec, platform, nodeVersion)
+ * @constructor
+ */
+
+var Doctor = function (options) {
+  options = options || {};
+  this.exec = options.exec || exec;
+  this.platform = options.platform || process.platform;
+  this.nodeVersion = options.nodeVersion || process.version;
+};
+
+/**
+ * Name of an operating system
+ *
+ * @method osName
+ * @param {string} platform Platform (as in process.platform)
+ * @return {string} Name
+ * @static
+ */
+
+Doctor.osName = function (platform) {
+  return OS_NAMES[platform] || platform;
+};
+
+Doctor.prototype = {
+
+  /**
+   * Runs all checks that apply to the backend
+   *
+   * @method run
+   * @param {object} settings What to check (backend, simulator, appiumBinary, host, port, webhookPort, path)
+   * @return {object} promise Resolves with the results (name, status, message)
+   */
+
+  run: function (settings) {
+    var checks = settings.simulator ?
+      ['os', 'xcode', 'instruments', 'sdks', 'ports', 'node', 'backend'] :
+      ['node', 'backend'];
+
+    return Q.all(checks.map(function (check) {
+      return this.checks[check].call(this, settings).then(function (result) {
+        return {name: check, status: result[0], message: result[1]};
+      });
+    }.bind(this)));
+  },
+
+  /**
+   * Checks if any of the results is a failure
+   *
+   * @method failed
+   * @param {array} results Check results
+   * @return {bool} At least one failure
+   */
+
+  failed: function (results) {
+    return results.some(function (result) {
+      return result.status === 'fail';
+    });
+  },
+
+  /**
+   * Formats the results, one line per check
+   *
+   * @method report
+   * @param {array} results Check results
+   * @return {string} Report
+   */
+
+  report: function (results) {
+    return results.map(function (result) {
+      return '[' + result.status + '] ' + result.name + ': ' + result.message;
+    }).join('\n');
+  },
+
+  /**
+   * The checks, resolve with [status, message]
+   *
+   * @property checks
+   * @type object
+   */
+
+  checks: {
+    os: function () {
+      var name = Doctor.osName(this.platform);
+      return Q.resolve(this.platform === 'darwin' ?
+        ['pass', name] :
+        ['fail', name + ' can not run the iOS simulator, use a Mac or a remote Appium server']);
+    },
+
+    xcode: function () {
+      return this._run('xcodebuild -version', function (stdout) {
+        return ['pass', stdout.split('\n')[0]];
+      }, 'Xcode is not installed (xcodebuild not found)');
+    },
+
+    instruments: function () {
+      return this._run('xcrun -f instruments', function (stdout) {
+        return ['pass', stdout.trim()];
+      }, 'instruments not found, install the Xcode command line tools');
+    },
+
+    sdks: function () {
+      return this._run('xcodebuild -showsdks', function (stdout) {
+        var sdks = sdk.sort(sdk.parseShowSdks(stdout));
+        return sdks.length ? ['pass', 'iOS simulator SDKs ' + sdks.join(', ')] : ['fail', 'No iOS simulator SDK installed'];
+      }, 'Could not list the SDKs (xcodebuild -showsdks failed)');
+    },
+
+    ports: function (settings) {
+      return Q.all([this._portStatus(settings.host, settings.port), this._portStatus(settings.host, settings.webhookPort)]).spread(function (appium, webhook) {
+        var used = [];
+        if (appium === 'open') {
+          used.push('Appium port ' + settings.port);
+        }
+        if (webhook === 'open') {
+          used.push('webhook port ' + settings.webhookPort);
+        }
+        return used.length ?
+          ['warn', used.join(' & ') + ' in use, the plugin will look for free ones'] :
+          ['pass', 'Appium port ' + settings.port + ' & webhook port ' + settings.webhookPort + ' are free'];
+      });
+    },
+
+    node: function () {
+      var version = this.nodeVersion.replace(/^v/, '').split('.').map(Number);
+      var supported = version[0] > 0 || version[1] >= 10;
+      return Q.resolve(supported ? ['pass', 'Node ' + this.nodeVersion] : ['fail', 'Node ' + this.nodeVersion + ' is too old, Appium needs 0.10 or newer']);
+    },
+
+    backend: function (settings) {
+      if (settings.backend === 'binary') {
+        return this._run(settings.appiumBinary + ' --version', function (stdout) {
+          return ['pass', 'Appium ' + stdout.trim() + ' (' + settings.appiumBinary + ')'];
+        }, 'Could not run the Appium binary "' + settings.appiumBinary + '"');
+      }
+
+      if (settings.backend === 'stub') {
+        return Q.resolve(['pass', 'Stub WebDriver server (no simulator)']);
+      }
+
+      if (settings.backend === 'remote') {
+        var server = {host: settings.host, port: settings.port, path: settings.path};
+        return webdriver.status(server).then(function () {
+          return ['pass', 'Remote Appium server at ' + webdriver.url(server)];
+        }, function (err) {
+          return ['fail', 'Remote Appium server at ' + webdriver.url(server) + ' is not reachable (' + err.message + ')'];
+        });
+      }
+
+      try {
+        require.resolve('appium/lib/server/main');
+        return Q.resolve(['pass', 'Appium (in process)']);
+      } catch (e) {
+        return Q.resolve(['fail', 'Appium is not installed, run npm install']);
+      }
+    }
+  },
+
+  /**
+   * Runs a command & turns its output into a result,
+   * a failing command is a failed check
+   *
+   * @method _run
+   * @param {string} command Command
+   * @param {function} success Turns the output into a result
+   * @param {string} failure Message if the command fails
+   * @return {object} promise Resolves with the result
+   * @private
+   */
+
+  _run: function (command, success, failure) {
+    return Q.when(this.exec(command)).then(success, function () {
+      return ['fail', failure];
+    });
+  },
+
+  /**
+   * Checks if a port is in use
+   *
+   * @method _portStatus
+   * @param {string} host Host
+   * @param {integer} port Port
+   * @return {object} promise Resolves with open (in use) or closed
+   * @private
+   */
+
+  _portStatus: function (host, port) {
+    var deferred = Q.defer();
+    portscanner.checkPortStatus(port, host, function (err, status) {
+      deferred.resolve(err ? 'closed' : status);
+    });
+    return deferred.promise;
+  }
+
+};
+
+// expose the module
+module.exports = Doctor;
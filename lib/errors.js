@@ -0,0 +1,134 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var util = require('util');
+
+/**
+ * Creates an error class, so that users can
+ * tell the reasons for a failed launch apart
+ *
+ * @method createError
+ * @param {string} name Name of the error class
+ * @param {string} code Error code
+ * @param {bool} retryable Launch might succeed when retried
+ * @return {function} Error class
+ * @private
+ */
+
+var createError = function (name, code, retryable) {
+  var CustomError = function (message, cause) {
+    Error.call(this);
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, CustomError);
+    }
+    this.name = name;
+    this.message = message;
+    this.cause = cause || null;
+  };
+
+  util.inherits(CustomError, Error);
+  CustomError.prototype.name = name;
+  CustomError.prototype.code = code;
+  CustomError.prototype.retryable = retryable;
+  return CustomError;
+};
+
+/**
+ * Errors the driver rejects the launch promise with
+ *
+ * @module DalekJS
+ * @class Errors
+ * @namespace Browser.iOS
+ * @part iOS
+ */
+
+module.exports = {
+
+  /**
+   * No free port in the configured range
+   *
+   * @property PortExhaustedError
+   * @type function
+   */
+
+  PortExhaustedError: createError('PortExhaustedError', 'E_PORT_EXHAUSTED', false),
+
+  /**
+   * Appium could not be started or died while booting
+   *
+   * @property AppiumBootError
+   * @type function
+   */
+
+  AppiumBootError: createError('AppiumBootError', 'E_APPIUM_BOOT', true),
+
+  /**
+   * The requested simulator (or SDK) is not installed
+   *
+   * @property SimulatorNotFoundError
+   * @type function
+   */
+
+  SimulatorNotFoundError: createError('SimulatorNotFoundError', 'E_SIMULATOR_NOT_FOUND', false),
+
+  /**
+   * Appium did not start within the launch timeout
+   *
+   * @property LaunchTimeoutError
+   * @type function
+   */
+
+  LaunchTimeoutError: createError('LaunchTimeoutError', 'E_LAUNCH_TIMEOUT', true),
+
+  /**
+   * The `browsers.ios` options are invalid
+   *
+   * @property ConfigurationError
+   * @type function
+   */
+
+  ConfigurationError: createError('ConfigurationError', 'E_CONFIGURATION', false),
+
+  /**
+   * The host can not run the iOS simulator (found by the preflight checks)
+   *
+   * @property PreflightError
+   * @type function
+   */
+
+  PreflightError: createError('PreflightError', 'E_PREFLIGHT', false),
+
+  /**
+   * A user defined lifecycle hook (beforeLaunch, afterLaunch, beforeKill, afterKill) failed
+   *
+   * @property HookError
+   * @type function
+   */
+
+  HookError: createError('HookError', 'E_HOOK', false)
+
+};
@@ -0,0 +1,124 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+/**
+ * Tags the reporter events of a run with its device,
+ * so that the output of parallel runs can be told apart
+ *
+ * @module DalekJS
+ * @class DeviceEvents
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {EventEmitter2} events Reporter event emitter
+ * @param {string} device Device of the run (the browser type, f.e. ipad)
+ * @constructor
+ */
+
+var DeviceEvents = function (events, device) {
+  this.events = events;
+  this.device = device;
+};
+
+DeviceEvents.prototype = {
+
+  /**
+   * Emits a tagged event
+   *
+   * @method emit
+   * @param {string} type Event type
+   * @param {mixed} payload Log message or event payload
+   * @chainable
+   */
+
+  emit: function (type, payload) {
+    this.events.emit(type, this.tag(payload));
+    return this;
+  },
+
+  /**
+   * Listens to the events of the reporter
+   *
+   * @method on
+   * @param {string} type Event type
+   * @param {function} listener Listener
+   * @chainable
+   */
+
+  on: function (type, listener) {
+    if (this.events.on) {
+      this.events.on(type, listener);
+    }
+    return this;
+  },
+
+  /**
+   * Removes a listener from the events of the reporter
+   *
+   * @method removeListener
+   * @param {string} type Event type
+   * @param {function} listener Listener
+   * @chainable
+   */
+
+  removeListener: function (type, listener) {
+    if (this.events.removeListener) {
+      this.events.removeListener(type, listener);
+    }
+    return this;
+  },
+
+  /**
+   * Adds the device to log messages & event payloads
+   * (as `deviceType`, payloads have a `device` of their own)
+   *
+   * @method tag
+   * @param {mixed} payload Log message or event payload
+   * @return {mixed} Tagged payload
+   */
+
+  tag: function (payload) {
+    if (typeof payload === 'string') {
+      var prefix = 'dalek-browser-ios: ';
+      return payload.indexOf(prefix) === 0 ?
+        'dalek-browser-ios [' + this.device + ']: ' + payload.substr(prefix.length) :
+        '[' + this.device + '] ' + payload;
+    }
+
+    if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+      var tagged = {deviceType: this.device};
+      Object.keys(payload).forEach(function (key) {
+        tagged[key] = payload[key];
+      });
+      return tagged;
+    }
+
+    return payload;
+  }
+
+};
+
+// expose the module
+module.exports = DeviceEvents;
@@ -0,0 +1,53 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+var cp = require('child_process');
+
+/**
+ * Runs a shell command, resolves with its output.
+ * The default for everything that asks the host about
+ * its toolchain (preflight checks, SDK detection)
+ *
+ * @module DalekJS
+ * @class exec
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {string} command Command
+ * @return {object} promise Resolves with stdout, rejects if the command fails
+ */
+
+var exec = function (command) {
+  var deferred = Q.defer();
+  cp.exec(command, {timeout: 30000}, function (err, stdout) {
+    return err ? deferred.reject(err) : deferred.resolve(stdout);
+  });
+  return deferred.promise;
+};
+
+// expose the module
+module.exports = exec;
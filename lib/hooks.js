@@ -0,0 +1,172 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+var fs = require('fs');
+var cp = require('child_process');
+var path = require('path');
+
+// int. libs
+var errors = require('./errors');
+
+/**
+ * Runs the user defined lifecycle hooks (`beforeLaunch`, `afterLaunch`,
+ * `beforeKill` & `afterKill`). A hook is either the path of a JS module
+ * that exports a function (which may return a promise) or a shell command
+ *
+ * @module DalekJS
+ * @class UserHooks
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} hooks Hooks by name
+ * @param {object} options Hook options (timeout, cwd)
+ * @constructor
+ */
+
+var UserHooks = function (hooks, options) {
+  options = options || {};
+  this.hooks = hooks || {};
+  this.timeout = options.timeout || 60000;
+  this.cwd = options.cwd || process.cwd();
+};
+
+UserHooks.prototype = {
+
+  /**
+   * Names of the hooks
+   *
+   * @property names
+   * @type array
+   */
+
+  names: ['beforeLaunch', 'afterLaunch', 'beforeKill', 'afterKill'],
+
+  /**
+   * Runs a hook, rejects with a HookError if it fails
+   * or does not finish in time
+   *
+   * @method run
+   * @param {string} name Name of the hook
+   * @param {object} context Ports, capabilities & pids of the run
+   * @return {object} promise Resolves when the hook is done
+   */
+
+  run: function (name, context) {
+    var hook = this.hooks[name];
+
+    if (!hook) {
+      return Q.resolve();
+    }
+
+    context.hook = name;
+    var running = this.isModule(hook) ? this._require(hook, context) : this._shell(hook, context);
+
+    return running
+      .timeout(this.timeout, 'did not finish within ' + this.timeout + 'ms')
+      .fail(function (err) {
+        throw new errors.HookError('dalek-browser-ios: The ' + name + ' hook "' + hook + '" failed (' + err.message + ')', err);
+      });
+  },
+
+  /**
+   * Checks if a hook is a JS module (a path without whitespace that ends with `.js`
+   * & exists relative to the working directory), everything else is a shell command
+   *
+   * @method isModule
+   * @param {string} hook Hook
+   * @return {bool} Is a module
+   */
+
+  isModule: function (hook) {
+    return !/\s/.test(hook) && /\.js$/i.test(hook) && fs.existsSync(path.resolve(this.cwd, hook));
+  },
+
+  /**
+   * Loads a hook module (relative to the working directory)
+   * & calls the function it exports
+   *
+   * @method _require
+   * @param {string} hook Module path
+   * @param {object} context Hook context
+   * @return {object} promise Resolves with the return value of the hook
+   * @private
+   */
+
+  _require: function (hook, context) {
+    return Q.fcall(function () {
+      var fn = require(path.resolve(this.cwd, hook));
+      if (typeof fn !== 'function') {
+        throw new Error('the module does not export a function');
+      }
+      return fn(context);
+    }.bind(this));
+  },
+
+  /**
+   * Runs a hook command, the context is passed as
+   * environment variables (`DALEK_HOOK`, `DALEK_HOOK_HOST`, `DALEK_HOOK_PORT`,
+   * `DALEK_HOOK_WEBHOOK_PORT`, `DALEK_HOOK_PIDS` & `DALEK_HOOK_CONTEXT` as JSON)
+   *
+   * @method _shell
+   * @param {string} command Shell command
+   * @param {object} context Hook context
+   * @return {object} promise Resolves with the output of the command
+   * @private
+   */
+
+  _shell: function (command, context) {
+    var deferred = Q.defer();
+    var env = {};
+    var pids = context.pids || {};
+
+    Object.keys(process.env).forEach(function (key) {
+      env[key] = process.env[key];
+    });
+
+    env.DALEK_HOOK = context.hook;
+    env.DALEK_HOOK_HOST = String(context.host);
+    env.DALEK_HOOK_PORT = String(context.port);
+    env.DALEK_HOOK_WEBHOOK_PORT = context.webhookPort ? String(context.webhookPort) : '';
+    env.DALEK_HOOK_PIDS = [].concat(pids.appium || [], pids.simulator || []).join(',');
+    env.DALEK_HOOK_CONTEXT = JSON.stringify(context);
+
+    // the hook timeout rejects first, this only makes sure the command does not outlive it
+    cp.exec(command, {cwd: this.cwd, env: env, timeout: this.timeout + 1000}, function (err, stdout, stderr) {
+      if (err) {
+        err.message = String(stderr).trim() || err.message.trim();
+        return deferred.reject(err);
+      }
+      deferred.resolve(stdout);
+    });
+
+    return deferred.promise;
+  }
+
+};
+
+// expose the module
+module.exports = UserHooks;
@@ -0,0 +1,254 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+var cp = require('child_process');
+
+/**
+ * Process names of the simulator (they changed between Xcode versions)
+ *
+ * @property DEFAULT_PATTERNS
+ * @type array
+ * @private
+ */
+
+var DEFAULT_PATTERNS = ['iPhone Simulator.app', 'iOS Simulator.app', 'Simulator.app'];
+
+/**
+ * Matches the commands of the process list tools themselves
+ *
+ * @property TOOLS
+ * @type RegExp
+ * @private
+ */
+
+var TOOLS = /^(\S*\/)?(ps|grep|pgrep)\s/;
+
+/**
+ * Escapes a string, so that it can be used in a RegExp
+ *
+ * @method escape
+ * @param {string} str String to escape
+ * @return {string} Escaped string
+ * @private
+ */
+
+var escape = function (str) {
+  return str.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+};
+
+/**
+ * Lists running processes (f.e. the simulator) as structured records,
+ * the command execution can be injected to test the parsers
+ * against recorded `ps` output
+ *
+ * @module DalekJS
+ * @class ProcessInspector
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} options Inspector options (patterns, exec, command)
+ * @constructor
+ */
+
+var ProcessInspector = function (options) {
+  options = options || {};
+  this.patterns = (options.patterns || DEFAULT_PATTERNS).map(function (pattern) {
+    return pattern instanceof RegExp ? pattern : new RegExp(escape(pattern));
+  });
+  this.exec = options.exec || cp.exec;
+  this.command = options.command || 'ps -axo pid,ppid,lstart,command';
+};
+
+ProcessInspector.prototype = {
+
+  /**
+   * Lists the processes that match the patterns
+   *
+   * @method list
+   * @return {object} promise Resolves with a list of records (pid, ppid, command, started)
+   */
+
+  list: function () {
+    var deferred = Q.defer();
+
+    this.exec(this.command, function (err, stdout) {
+      if (err) {
+        deferred.reject(err);
+        return;
+      }
+
+      try {
+        deferred.resolve(this.filter(this.parse(String(stdout))));
+      } catch (e) {
+        deferred.reject(e);
+      }
+    }.bind(this));
+
+    return deferred.promise;
+  },
+
+  /**
+   * Lists the ids of the processes that match the patterns
+   *
+   * @method pids
+   * @return {object} promise Resolves with a list of process ids
+   */
+
+  pids: function () {
+    return this.list().then(function (records) {
+      return records.map(function (record) {
+        return record.pid;
+      });
+    });
+  },
+
+  /**
+   * Parses the output of `ps`, the format is detected by the header line
+   *
+   * @method parse
+   * @param {string} stdout Output of ps
+   * @return {array} List of all records
+   * @throws {Error} If the output format is unknown
+   */
+
+  parse: function (stdout) {
+    var lines = stdout.split('\n').filter(function (line) {
+      return line.trim() !== '';
+    });
+
+    if (lines.length === 0) {
+      return [];
+    }
+
+    return lines.slice(1).map(this.detect(lines[0])).filter(Boolean);
+  },
+
+  /**
+   * Picks the parser for a `ps` header line
+   *
+   * @method detect
+   * @param {string} header Header line
+   * @return {function} Parser
+   * @throws {Error} If the output format is unknown
+   */
+
+  detect: function (header) {
+    if (/\bSTARTED\b/.test(header)) {
+      return this.parsers.lstart;
+    }
+
+    if (/\bTTY?\b/.test(header)) {
+      return this.parsers.ax;
+    }
+
+    throw new Error('dalek-browser-ios: Unknown ps output format "' + header.trim() + '"');
+  },
+
+  /**
+   * Keeps the records that match the patterns, leaves out
+   * this process & the process list tools
+   *
+   * @method filter
+   * @param {array} records List of records
+   * @return {array} Matching records
+   */
+
+  filter: function (records) {
+    return records.filter(function (record) {
+      if (record.pid === process.pid || TOOLS.test(record.command)) {
+        return false;
+      }
+
+      return this.patterns.some(function (pattern) {
+        return pattern.test(record.command);
+      });
+    }.bind(this));
+  },
+
+  /**
+   * Line parsers for the different `ps` output formats
+   *
+   * @property parsers
+   * @type object
+   */
+
+  parsers: {
+
+    /**
+     * `ps -axo pid,ppid,lstart,command` (OS X & Linux)
+     *
+     * @method lstart
+     * @param {string} line Output line
+     * @return {object|null} Record
+     */
+
+    lstart: function (line) {
+      var match = line.match(/^\s*(\d+)\s+(\d+)\s+(\w{3}\s+\w{3}\s+\d+\s+[\d:]+\s+\d{4})\s+(.*)$/);
+      var started;
+
+      if (!match) {
+        return null;
+      }
+
+      started = new Date(match[3].replace(/\s+/g, ' '));
+      return {
+        pid: parseInt(match[1], 10),
+        ppid: parseInt(match[2], 10),
+        command: match[4].trim(),
+        started: isNaN(started.getTime()) ? null : started
+      };
+    },
+
+    /**
+     * `ps -ax` (OS X: PID TTY TIME CMD, Linux: PID TTY STAT TIME COMMAND)
+     *
+     * @method ax
+     * @param {string} line Output line
+     * @return {object|null} Record
+     */
+
+    ax: function (line) {
+      var match = line.match(/^\s*(\d+)\s+\S+\s+(?:\S+\s+)?\d+:[\d:.]+\s+(.*)$/);
+
+      if (!match) {
+        return null;
+      }
+
+      return {
+        pid: parseInt(match[1], 10),
+        ppid: null,
+        command: match[2].trim(),
+        started: null
+      };
+    }
+
+  }
+
+};
+
+// expose the module
+module.exports = ProcessInspector;
@@ -0,0 +1,228 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+var fs = require('fs');
+
+/**
+ * Numeric representation of the log levels,
+ * used to compare them against the configured minimum level
+ *
+ * @property LEVELS
+ * @type object
+ * @private
+ */
+
+var LEVELS = {
+  debug: 0,
+  info: 1,
+  warn: 2,
+  error: 3
+};
+
+/**
+ * Maps the level names used by appium & its deps
+ * to the ones above
+ *
+ * @property ALIASES
+ * @type object
+ * @private
+ */
+
+var ALIASES = {
+  silly: 'debug',
+  verbose: 'debug',
+  warning: 'warn',
+  err: 'error'
+};
+
+/**
+ * Matches ANSI color sequences
+ *
+ * @property ANSI
+ * @type RegExp
+ * @private
+ */
+
+var ANSI = /\u001b\[[0-9;]*m/g;
+
+/**
+ * Matches log lines like `info: Appium REST http interface listener started`
+ *
+ * @property LINE
+ * @type RegExp
+ * @private
+ */
+
+var LINE = /^\s*(silly|verbose|debug|info|warn|warning|error|err)\s*(?::|-)\s*(.*)$/i;
+
+/**
+ * Collects the log output of appium, filters it by level,
+ * forwards it to the reporter & optionally writes it to a file
+ *
+ * @module DalekJS
+ * @class AppiumLog
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {EventEmitter2} events Reporter event emitter
+ * @param {object} options Log options (level, file)
+ * @constructor
+ */
+
+var AppiumLog = function (events, options) {
+  options = options || {};
+  this.events = events;
+  this.level = this.normalizeLevel(options.level || 'warn');
+  this.file = options.file || null;
+  this.stream = this.file ? fs.createWriteStream(this.file, {flags: 'a'}) : null;
+
+  if (this.stream) {
+    this.stream.on('error', this._onFileError.bind(this, this.stream));
+  }
+};
+
+AppiumLog.prototype = {
+
+  /**
+   * Parses a raw appium log line & logs it
+   *
+   * @method line
+   * @param {string} line Raw log line
+   * @param {string} fallback Level to use if the line does not contain one
+   * @chainable
+   */
+
+  line: function (line, fallback) {
+    var entry = this.parse(line, fallback);
+    if (entry.message !== '') {
+      this.entry(entry.level, entry.message);
+    }
+    return this;
+  },
+
+  /**
+   * Logs an entry, writes every entry to the log file,
+   * emits the ones that match the minimum level
+   *
+   * @method entry
+   * @param {string} level Log level
+   * @param {string} message Log message
+   * @chainable
+   */
+
+  entry: function (level, message) {
+    level = this.normalizeLevel(level);
+
+    if (this.stream) {
+      this.stream.write(new Date().toISOString() + ' ' + level + ': ' + message + '\n');
+    }
+
+    if (LEVELS[level] >= LEVELS[this.level]) {
+      this.events.emit('report:log:browser', 'appium ' + level + ': ' + message);
+    }
+
+    return this;
+  },
+
+  /**
+   * Extracts the level & message of a raw log line
+   *
+   * @method parse
+   * @param {string} line Raw log line
+   * @param {string} fallback Level to use if the line does not contain one
+   * @return {object} Log entry (level, message)
+   */
+
+  parse: function (line, fallback) {
+    var clean = String(line).replace(ANSI, '').trim();
+    var match = clean.match(LINE);
+
+    if (match) {
+      return {level: this.normalizeLevel(match[1]), message: match[2].trim()};
+    }
+
+    return {level: this.normalizeLevel(fallback || 'info'), message: clean};
+  },
+
+  /**
+   * Maps level aliases to a known level,
+   * unknown levels are treated as info
+   *
+   * @method normalizeLevel
+   * @param {string} level Log level
+   * @return {string} Normalized log level
+   */
+
+  normalizeLevel: function (level) {
+    level = String(level).toLowerCase();
+    level = ALIASES[level] || level;
+    return LEVELS[level] === undefined ? 'info' : level;
+  },
+
+  /**
+   * Closes the log file
+   *
+   * @method close
+   * @return {object} promise Resolves when the file has been flushed
+   */
+
+  close: function () {
+    var deferred = Q.defer();
+
+    if (!this.stream) {
+      deferred.resolve();
+      return deferred.promise;
+    }
+
+    this.stream.end(deferred.resolve);
+    this.stream = null;
+    return deferred.promise;
+  },
+
+  /**
+   * Reports a log file that can not be written
+   * & keeps logging to the reporter only
+   *
+   * @method _onFileError
+   * @param {object} stream The failing file stream
+   * @param {Error} err Write error
+   * @private
+   */
+
+  _onFileError: function (stream, err) {
+    if (this.stream !== stream) {
+      return;
+    }
+
+    this.stream = null;
+    this.events.emit('report:log:system', 'dalek-browser-ios: Could not write the Appium log to ' + this.file + ' (' + err.message + ')');
+  }
+
+};
+
+// expose the module
+module.exports = AppiumLog;
@@ -0,0 +1,110 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var fs = require('fs');
+var Q = require('q');
+
+/**
+ * Measures the phases of a run (port scan, appium boot,
+ * simulator boot & shutdown) & writes them to a JSON file
+ *
+ * @module DalekJS
+ * @class Metrics
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} options Metrics options (file, now)
+ * @constructor
+ */
+
+var Metrics = function (options) {
+  options = options || {};
+  this.file = options.file || null;
+  this.now = options.now || Date.now;
+  this.started = {};
+  this.timings = {};
+};
+
+Metrics.prototype = {
+
+  /**
+   * Starts measuring a phase
+   *
+   * @method start
+   * @param {string} phase Name of the phase
+   * @chainable
+   */
+
+  start: function (phase) {
+    this.started[phase] = this.now();
+    return this;
+  },
+
+  /**
+   * Stops measuring a phase
+   *
+   * @method stop
+   * @param {string} phase Name of the phase
+   * @return {integer|null} Duration of the phase in ms, null if it never started
+   */
+
+  stop: function (phase) {
+    if (this.started[phase] === undefined) {
+      return null;
+    }
+
+    this.timings[phase] = this.now() - this.started[phase];
+    delete this.started[phase];
+    return this.timings[phase];
+  },
+
+  /**
+   * Writes the measured timings & some details about the run
+   * to the metrics file (if there is one)
+   *
+   * @method write
+   * @param {object} details Details of the run (browser, device, ports)
+   * @return {object} promise Resolves when the file has been written
+   */
+
+  write: function (details) {
+    if (!this.file) {
+      return Q.resolve();
+    }
+
+    var data = {};
+    Object.keys(details).forEach(function (key) {
+      data[key] = details[key];
+    });
+    data.timings = this.timings;
+
+    return Q.nfcall(fs.writeFile, this.file, JSON.stringify(data, null, 2));
+  }
+
+};
+
+// expose the module
+module.exports = Metrics;
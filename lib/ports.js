@@ -0,0 +1,320 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var portscanner = require('portscanner');
+
+// int. libs
+var errors = require('./errors');
+var terminator = require('./terminator');
+
+/**
+ * Creates a directory & its missing parents
+ *
+ * @method mkdirp
+ * @param {string} dir Directory
+ * @private
+ */
+
+var mkdirp = function (dir) {
+  try {
+    fs.mkdirSync(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT' && path.dirname(dir) !== dir) {
+      mkdirp(path.dirname(dir));
+      return mkdirp(dir);
+    }
+    if (e.code !== 'EEXIST') {
+      throw e;
+    }
+  }
+};
+
+/**
+ * Hands out the appium & webhook ports together.
+ * Every port gets reserved with a lock file before it gets checked,
+ * so that parallel runs on the same machine never pick the same port
+ *
+ * @module DalekJS
+ * @class PortAllocator
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} options Allocator options (host, lockDir)
+ * @constructor
+ */
+
+var PortAllocator = function (options) {
+  this.host = options.host;
+  this.lockDir = options.lockDir || path.join(os.tmpdir(), 'dalek-browser-ios-ports');
+  this.locks = [];
+};
+
+PortAllocator.prototype = {
+
+  /**
+   * Finds & reserves a free appium & a free webhook port
+   *
+   * @method allocate
+   * @param {array} appiumRange First & last appium port
+   * @param {array} webhookRange First & last webhook port
+   * @return {object} promise Resolves with the ports (port, webhookPort)
+   */
+
+  allocate: function (appiumRange, webhookRange) {
+    var ports = {};
+
+    return Q.fcall(this._createLockDir.bind(this))
+      .then(this._find.bind(this, 'Appium', appiumRange))
+      .then(function (port) {
+        ports.port = port;
+        return this._find('webhook', webhookRange);
+      }.bind(this))
+      .then(function (webhookPort) {
+        ports.webhookPort = webhookPort;
+        return ports;
+      })
+      .fail(function (err) {
+        this.release();
+        throw err;
+      }.bind(this));
+  },
+
+  /**
+   * Removes all lock files of this allocator
+   *
+   * @method release
+   * @chainable
+   */
+
+  release: function () {
+    this.locks.forEach(this._unlink.bind(this));
+    this.locks = [];
+    return this;
+  },
+
+  /**
+   * Creates the directory of the lock files
+   *
+   * @method _createLockDir
+   * @chainable
+   * @private
+   */
+
+  _createLockDir: function () {
+    try {
+      mkdirp(this.lockDir);
+    } catch (e) {
+      throw new errors.ConfigurationError('dalek-browser-ios: Could not create the port lock directory ' + this.lockDir + ' (' + e.message + ')', e);
+    }
+    return this;
+  },
+
+  /**
+   * Walks through a port range until it finds a port
+   * that is neither reserved nor in use
+   *
+   * @method _find
+   * @param {string} type Port type (for error messages)
+   * @param {array} range First & last port
+   * @return {object} promise Resolves with the port
+   * @private
+   */
+
+  _find: function (type, range) {
+    var deferred = Q.defer();
+
+    var next = function (port) {
+      if (port > range[1]) {
+        deferred.reject(new errors.PortExhaustedError('dalek-browser-ios: No free ' + type + ' port between ' + range[0] + ' and ' + range[1]));
+        return;
+      }
+
+      if (!this._lock(port)) {
+        next(port + 1);
+        return;
+      }
+
+      portscanner.checkPortStatus(port, this.host, function (err, status) {
+        if (!err && status === 'closed') {
+          deferred.resolve(port);
+          return;
+        }
+
+        this._unlock(port);
+        next(port + 1);
+      }.bind(this));
+    }.bind(this);
+
+    next(range[0]);
+    return deferred.promise;
+  },
+
+  /**
+   * Reserves a port by creating its lock file,
+   * lock files of processes that are gone are taken over
+   *
+   * @method _lock
+   * @param {integer} port Port to reserve
+   * @return {bool} Port has been reserved
+   * @private
+   */
+
+  _lock: function (port) {
+    return this._create(port) || (this._isStale(this._file(port)) && this._takeOver(port));
+  },
+
+  /**
+   * Creates the lock file of a port, fails if it already exists
+   *
+   * @method _create
+   * @param {integer} port Port to reserve
+   * @return {bool} Lock file has been created
+   * @private
+   */
+
+  _create: function (port) {
+    try {
+      fs.writeFileSync(this._file(port), String(process.pid), {flag: 'wx'});
+      this.locks.push(port);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Takes over a stale lock file. The lock gets renamed to a unique name first,
+   * only one run can win that rename. If the renamed lock turns out to be alive
+   * (another run took the port over in the meantime) it is put back
+   *
+   * @method _takeOver
+   * @param {integer} port Port to reserve
+   * @return {bool} Port has been reserved
+   * @private
+   */
+
+  _takeOver: function (port) {
+    var file = this._file(port);
+    var aside = file + '.' + process.pid + '.' + Math.random().toString(36).slice(2);
+
+    try {
+      fs.renameSync(file, aside);
+    } catch (e) {
+      // another run removed the stale lock already
+      return this._create(port);
+    }
+
+    if (!this._isStale(aside)) {
+      try {
+        fs.linkSync(aside, file);
+      } catch (e) {
+        // the port has been locked again in the meantime
+      }
+      fs.unlinkSync(aside);
+      return false;
+    }
+
+    fs.unlinkSync(aside);
+    return this._create(port);
+  },
+
+  /**
+   * Releases a single port
+   *
+   * @method _unlock
+   * @param {integer} port Port to release
+   * @chainable
+   * @private
+   */
+
+  _unlock: function (port) {
+    this._unlink(port);
+    this.locks = this.locks.filter(function (lock) {
+      return lock !== port;
+    });
+    return this;
+  },
+
+  /**
+   * Checks if the process that owns a lock file is gone
+   *
+   * @method _isStale
+   * @param {string} file Lock file
+   * @return {bool} Lock file is stale
+   * @private
+   */
+
+  _isStale: function (file) {
+    var pid;
+
+    try {
+      pid = parseInt(fs.readFileSync(file, 'utf8'), 10);
+    } catch (e) {
+      return false;
+    }
+
+    return isNaN(pid) || !terminator.isAlive(pid);
+  },
+
+  /**
+   * Removes a lock file
+   *
+   * @method _unlink
+   * @param {integer} port Port
+   * @chainable
+   * @private
+   */
+
+  _unlink: function (port) {
+    try {
+      fs.unlinkSync(this._file(port));
+    } catch (e) {
+      // lock file is already gone
+    }
+    return this;
+  },
+
+  /**
+   * Path of a lock file
+   *
+   * @method _file
+   * @param {integer} port Port
+   * @return {string} path
+   * @private
+   */
+
+  _file: function (port) {
+    return path.join(this.lockDir, port + '.lock');
+  }
+
+};
+
+// expose the module
+module.exports = PortAllocator;
@@ -0,0 +1,181 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+/**
+ * Properties every profile inherits,
+ * unless it defines them itself
+ *
+ * @property BASE
+ * @type object
+ * @private
+ */
+
+var BASE = {
+  device: 'iphone',
+  version: 'latest',
+  orientation: 'portrait',
+  locale: 'en_US',
+  language: 'en'
+};
+
+/**
+ * Named device profiles, that can be selected via `-b ios:<profile>`
+ * or extended/added in the Dalekfile (`browsers.ios.profiles`)
+ *
+ * @module DalekJS
+ * @class Profiles
+ * @namespace Browser.iOS
+ * @part iOS
+ */
+
+var Profiles = {
+
+  /**
+   * Browser types that map to a profile with another name
+   * (`ios:safari` runs the default profile)
+   *
+   * @property aliases
+   * @type object
+   */
+
+  aliases: {
+    safari: 'iphone'
+  },
+
+  /**
+   * Built in device profiles
+   *
+   * @property builtin
+   * @type object
+   */
+
+  builtin: {
+    iphone: {},
+    iphone4s: {deviceName: 'iPhone 4s', version: '7.1'},
+    iphone5: {deviceName: 'iPhone 5', version: '7.1'},
+    ipad: {device: 'ipad'},
+    ipadretina: {device: 'ipad', deviceName: 'iPad Retina', version: '7.1'},
+    ipadair: {device: 'ipad', deviceName: 'iPad Air', version: '7.1'}
+  },
+
+  /**
+   * Resolves a profile by name, user defined profiles
+   * take precedence over the built in ones
+   *
+   * @method resolve
+   * @param {string} name Profile name
+   * @param {object} userProfiles User defined profiles
+   * @return {object|null} Profile or null if there is no profile with that name
+   */
+
+  resolve: function (name, userProfiles) {
+    var profiles = this.list(userProfiles);
+    var key = String(name || 'iphone').toLowerCase();
+    var profile = {};
+
+    key = this.aliases[key] || key;
+    if (!profiles[key]) {
+      return null;
+    }
+
+    [BASE, this.builtin[key] || {}, profiles[key]].forEach(function (source) {
+      Object.keys(source).forEach(function (prop) {
+        profile[prop] = source[prop];
+      });
+    });
+
+    profile.name = key;
+    profile.deviceName = profile.deviceName || (profile.device === 'ipad' ? 'iPad Simulator' : 'iPhone Simulator');
+    return profile;
+  },
+
+  /**
+   * Merges the built in & the user defined profiles
+   *
+   * @method list
+   * @param {object} userProfiles User defined profiles
+   * @return {object} All available profiles
+   */
+
+  list: function (userProfiles) {
+    var profiles = {};
+
+    [this.builtin, userProfiles || {}].forEach(function (source) {
+      Object.keys(source).forEach(function (name) {
+        profiles[name.toLowerCase()] = source[name];
+      });
+    });
+
+    return profiles;
+  },
+
+  /**
+   * Transforms a profile into desired capabilities
+   *
+   * @method capabilities
+   * @param {object} profile Device profile
+   * @param {object} defaults Desired capabilities to extend
+   * @return {object} Desired capabilities
+   */
+
+  capabilities: function (profile, defaults) {
+    var capabilities = {};
+
+    Object.keys(defaults || {}).forEach(function (key) {
+      capabilities[key] = defaults[key];
+    });
+
+    capabilities.device = profile.device === 'ipad' ? 'iPad Simulator' : 'iPhone Simulator';
+    capabilities.deviceName = profile.deviceName;
+    capabilities.platformName = 'iOS';
+    capabilities.version = profile.version;
+    capabilities.platformVersion = profile.version;
+    capabilities.orientation = profile.orientation.toUpperCase();
+    capabilities.locale = profile.locale;
+    capabilities.language = profile.language;
+    return capabilities;
+  },
+
+  /**
+   * Applies a profile to the appium arguments
+   *
+   * @method appiumArgs
+   * @param {object} profile Device profile
+   * @param {object} appiumArgs Appium arguments to modify
+   * @return {object} Modified appium arguments
+   */
+
+  appiumArgs: function (profile, appiumArgs) {
+    appiumArgs.forceIphone = profile.device !== 'ipad';
+    appiumArgs.forceIpad = profile.device === 'ipad';
+    appiumArgs.orientation = profile.orientation.toUpperCase();
+    return appiumArgs;
+  }
+
+};
+
+// expose the module
+module.exports = Profiles;
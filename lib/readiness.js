@@ -0,0 +1,169 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+
+// int. libs
+var webdriver = require('./webdriver');
+var errors = require('./errors');
+
+/**
+ * Waits until Mobile Safari can actually take a session,
+ * by polling the status endpoint & (optionally) opening
+ * & closing a throwaway session
+ *
+ * @module DalekJS
+ * @class Readiness
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} server Server location (host, port, path)
+ * @param {object} options Probe options (events, timeout, interval, session, desiredCapabilities)
+ * @constructor
+ */
+
+var Readiness = function (server, options) {
+  this.server = server;
+  this.events = options.events;
+  this.timeout = options.timeout;
+  this.interval = options.interval;
+  this.session = options.session;
+  this.desiredCapabilities = options.desiredCapabilities;
+};
+
+Readiness.prototype = {
+
+  /**
+   * Probes until the server is ready or the deadline is reached
+   *
+   * @method wait
+   * @return {object} promise Resolves when ready
+   */
+
+  wait: function () {
+    var started = Date.now();
+    this.deadline = started + this.timeout;
+
+    this._log('Waiting for Appium to report its status');
+    return this._poll(this._checkStatus.bind(this))
+      .then(function () {
+        if (!this.session) {
+          return;
+        }
+        this._log('Opening a test session to boot the simulator');
+        return this._poll(this._checkSession.bind(this));
+      }.bind(this))
+      .then(function () {
+        this._log('Mobile Safari is ready (after ' + (Date.now() - started) + 'ms)');
+      }.bind(this));
+  },
+
+  /**
+   * Runs a check until it succeeds or the deadline is reached,
+   * a single check only gets the time that is left
+   *
+   * @method _poll
+   * @param {function} check Returns a promise, gets the time left (in ms)
+   * @return {object} promise Resolves when the check succeeded
+   * @private
+   */
+
+  _poll: function (check) {
+    var left = Math.max(this.deadline - Date.now(), 1);
+
+    return check(left).timeout(left, 'No answer within ' + left + 'ms').fail(function (err) {
+      if (Date.now() + this.interval > this.deadline) {
+        throw new errors.LaunchTimeoutError('dalek-browser-ios: Mobile Safari was not ready within ' + this.timeout + 'ms (' + err.message + ')', err);
+      }
+
+      return Q.delay(this.interval).then(this._poll.bind(this, check));
+    }.bind(this));
+  },
+
+  /**
+   * Checks that the status endpoint reports success
+   *
+   * @method _checkStatus
+   * @param {integer} timeout Time left (in ms)
+   * @return {object} promise
+   * @private
+   */
+
+  _checkStatus: function (timeout) {
+    return webdriver.status(this._server(timeout)).then(function (body) {
+      if (body && body.status !== undefined && body.status !== 0) {
+        throw new Error('Appium reported status ' + body.status);
+      }
+    });
+  },
+
+  /**
+   * Opens & closes a throwaway session
+   *
+   * @method _checkSession
+   * @param {integer} timeout Time left (in ms)
+   * @return {object} promise
+   * @private
+   */
+
+  _checkSession: function (timeout) {
+    var server = this._server(timeout);
+    return webdriver.createSession(server, this.desiredCapabilities).then(function (sessionId) {
+      return webdriver.deleteSession(server, sessionId);
+    });
+  },
+
+  /**
+   * Adds a request timeout to the server location
+   *
+   * @method _server
+   * @param {integer} timeout Request timeout (in ms)
+   * @return {object} Server location (host, port, path, timeout)
+   * @private
+   */
+
+  _server: function (timeout) {
+    return {host: this.server.host, port: this.server.port, path: this.server.path, timeout: timeout};
+  },
+
+  /**
+   * Reports the progress
+   *
+   * @method _log
+   * @param {string} message Progress message
+   * @chainable
+   * @private
+   */
+
+  _log: function (message) {
+    this.events.emit('report:log:system', 'dalek-browser-ios: ' + message);
+    return this;
+  }
+
+};
+
+// expose the module
+module.exports = Readiness;
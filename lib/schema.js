@@ -0,0 +1,324 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+/**
+ * Declared options of a device profile
+ *
+ * @property PROFILE
+ * @type object
+ * @private
+ */
+
+var PROFILE = {
+  device: {type: 'enum', values: ['iphone', 'ipad']},
+  deviceName: {type: 'string'},
+  version: {type: 'string'},
+  orientation: {type: 'enum', values: ['portrait', 'landscape']},
+  locale: {type: 'string'},
+  language: {type: 'string'}
+};
+
+/**
+ * Declared options of the `browsers.ios` block
+ *
+ * @property OPTIONS
+ * @type object
+ * @private
+ */
+
+var OPTIONS = {
+  host: {type: 'string'},
+  port: {type: 'port'},
+  portRange: {type: 'range'},
+  webhookPort: {type: 'port'},
+  webhookPortRange: {type: 'range'},
+  portLockDir: {type: 'string'},
+  simulatorProcesses: {type: 'strings'},
+  stateDir: {type: 'string'},
+  orphans: {type: 'enum', values: ['kill', 'warn']},
+  remote: {type: 'object', properties: {
+    host: {type: 'string'},
+    port: {type: 'port'},
+    path: {type: 'path'}
+  }},
+  backend: {type: 'enum', values: ['inprocess', 'binary', 'remote', 'stub']},
+  appiumBinary: {type: 'string'},
+  appiumArgs: {type: 'object'},
+  capabilities: {type: 'object'},
+  logLevel: {type: 'enum', values: ['debug', 'info', 'warn', 'error']},
+  logFile: {type: 'string'},
+  metricsFile: {type: 'string'},
+  preflight: {type: 'boolean'},
+  daemon: {type: 'boolean'},
+  daemonSocket: {type: 'string'},
+  beforeLaunch: {type: 'string'},
+  afterLaunch: {type: 'string'},
+  beforeKill: {type: 'string'},
+  afterKill: {type: 'string'},
+  hookTimeout: {type: 'integer'},
+  killGracePeriod: {type: 'integer'},
+  launchTimeout: {type: 'integer'},
+  launchRetries: {type: 'integer'},
+  readiness: {type: 'object', properties: {
+    timeout: {type: 'integer'},
+    interval: {type: 'integer'},
+    session: {type: 'boolean'}
+  }},
+  watchdog: {type: 'object', properties: {
+    interval: {type: 'integer'},
+    relaunch: {type: 'boolean'}
+  }},
+  profiles: {type: 'map', values: {type: 'object', properties: PROFILE}}
+};
+
+/**
+ * Validates the user defined options against
+ * the declared ones, before anything gets launched
+ *
+ * @module DalekJS
+ * @class Schema
+ * @namespace Browser.iOS
+ * @part iOS
+ */
+
+var Schema = {
+
+  /**
+   * Declared options
+   *
+   * @property options
+   * @type object
+   */
+
+  options: OPTIONS,
+
+  /**
+   * Validates the options of a `browsers.ios` block
+   *
+   * @method validate
+   * @param {object} options User defined options
+   * @param {string} prefix Key prefix used in the messages
+   * @return {object} Result (errors, warnings)
+   */
+
+  validate: function (options, prefix) {
+    var result = {errors: [], warnings: []};
+    prefix = prefix || 'browsers.ios';
+
+    if (!this._isObject(options)) {
+      result.errors.push('"' + prefix + '" must be an object');
+      return result;
+    }
+
+    this._validateProperties(OPTIONS, options, prefix, result);
+    this._validateRanges(options, prefix, result);
+    return result;
+  },
+
+  /**
+   * Validates the properties of an object,
+   * unknown properties produce a warning
+   *
+   * @method _validateProperties
+   * @param {object} properties Declared properties
+   * @param {object} value Object to validate
+   * @param {string} prefix Key prefix
+   * @param {object} result Validation result
+   * @chainable
+   * @private
+   */
+
+  _validateProperties: function (properties, value, prefix, result) {
+    Object.keys(value).forEach(function (key) {
+      var path = prefix + '.' + key;
+
+      if (!properties[key]) {
+        result.warnings.push('Unknown option "' + path + '" will be ignored');
+        return;
+      }
+
+      this._validateValue(properties[key], value[key], path, result);
+    }.bind(this));
+
+    return this;
+  },
+
+  /**
+   * Validates a single value against its declaration
+   *
+   * @method _validateValue
+   * @param {object} declaration Option declaration
+   * @param {mixed} value Value to validate
+   * @param {string} path Option key
+   * @param {object} result Validation result
+   * @chainable
+   * @private
+   */
+
+  _validateValue: function (declaration, value, path, result) {
+    var error = this.types[declaration.type].call(this, value, declaration);
+
+    if (error) {
+      result.errors.push('Invalid value ' + JSON.stringify(value) + ' for "' + path + '": ' + error);
+      return this;
+    }
+
+    if (declaration.type === 'object' && declaration.properties) {
+      this._validateProperties(declaration.properties, value, path, result);
+    }
+
+    if (declaration.type === 'map') {
+      Object.keys(value).forEach(function (key) {
+        this._validateValue(declaration.values, value[key], path + '.' + key, result);
+      }.bind(this));
+    }
+
+    return this;
+  },
+
+  /**
+   * Checks that the appium & webhook port ranges
+   * do not overlap
+   *
+   * @method _validateRanges
+   * @param {object} options User defined options
+   * @param {string} prefix Key prefix
+   * @param {object} result Validation result
+   * @chainable
+   * @private
+   */
+
+  _validateRanges: function (options, prefix, result) {
+    var appium = this.range(options.port, options.portRange);
+    var webhook = this.range(options.webhookPort, options.webhookPortRange);
+
+    if (result.errors.length === 0 && appium && webhook && appium[0] <= webhook[1] && webhook[0] <= appium[1]) {
+      result.errors.push('The appium ports (' + appium.join(' -> ') + ') overlap with "' + prefix + '.webhookPort(Range)" (' + webhook.join(' -> ') + ')');
+    }
+
+    return this;
+  },
+
+  /**
+   * Computes the port range the driver scans,
+   * a range takes precedence over a single port
+   *
+   * @method range
+   * @param {mixed} port Single port
+   * @param {array|undefined} range Port range
+   * @return {array|null} Port range or null if nothing is configured
+   */
+
+  range: function (port, range) {
+    if (range) {
+      return [parseInt(range[0], 10), parseInt(range[1], 10)];
+    }
+
+    if (port) {
+      return [parseInt(port, 10), parseInt(port, 10) + 90];
+    }
+
+    return null;
+  },
+
+  /**
+   * Type checks, return an error message or null
+   *
+   * @property types
+   * @type object
+   */
+
+  types: {
+    string: function (value) {
+      return typeof value === 'string' && value !== '' ? null : 'expected a non empty string';
+    },
+    strings: function (value) {
+      var valid = Array.isArray(value) && value.length > 0 && value.every(function (item) {
+        return typeof item === 'string' && item !== '';
+      });
+      return valid ? null : 'expected a list of non empty strings';
+    },
+    boolean: function (value) {
+      return typeof value === 'boolean' ? null : 'expected true or false';
+    },
+    path: function (value) {
+      return typeof value === 'string' && value.charAt(0) === '/' ? null : 'expected a path starting with /';
+    },
+    integer: function (value) {
+      return this._toInteger(value) !== null && this._toInteger(value) >= 0 ? null : 'expected a positive integer';
+    },
+    port: function (value) {
+      var port = this._toInteger(value);
+      return port !== null && port > 0 && port <= 65535 ? null : 'expected a port between 1 and 65535';
+    },
+    range: function (value) {
+      if (!Array.isArray(value) || value.length !== 2 || this.types.port.call(this, value[0]) || this.types.port.call(this, value[1])) {
+        return 'expected [start, end] with ports between 1 and 65535';
+      }
+      return this._toInteger(value[0]) <= this._toInteger(value[1]) ? null : 'start is greater than end';
+    },
+    enum: function (value, declaration) {
+      return declaration.values.indexOf(value) !== -1 ? null : 'expected one of ' + declaration.values.join(', ');
+    },
+    object: function (value) {
+      return this._isObject(value) ? null : 'expected an object';
+    },
+    map: function (value) {
+      return this._isObject(value) ? null : 'expected an object';
+    }
+  },
+
+  /**
+   * Converts integers & integer strings,
+   * returns null for everything else
+   *
+   * @method _toInteger
+   * @param {mixed} value Value to convert
+   * @return {integer|null} Integer
+   * @private
+   */
+
+  _toInteger: function (value) {
+    return /^\d+$/.test(String(value)) && (typeof value === 'number' || typeof value === 'string') ? parseInt(value, 10) : null;
+  },
+
+  /**
+   * Checks for plain objects
+   *
+   * @method _isObject
+   * @param {mixed} value Value to check
+   * @return {bool} Is an object
+   * @private
+   */
+
+  _isObject: function (value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+};
+
+// expose the module
+module.exports = Schema;
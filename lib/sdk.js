@@ -0,0 +1,215 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+
+// int. libs
+var errors = require('./errors');
+
+/**
+ * Finds the installed iOS simulator SDKs & picks
+ * the one that matches the requested version
+ * (`7.1`, `7.x`, `7` or `latest`)
+ *
+ * @module DalekJS
+ * @class Sdk
+ * @namespace Browser.iOS
+ * @part iOS
+ */
+
+var Sdk = {
+
+  /**
+   * Commands that list the installed SDKs & simulators,
+   * with the parser for their output
+   *
+   * @property sources
+   * @type object
+   */
+
+  sources: {
+    'xcodebuild -showsdks': 'parseShowSdks',
+    'xcrun simctl list runtimes': 'parseRuntimes',
+    'instruments -s devices': 'parseDevices'
+  },
+
+  /**
+   * Lists the installed simulator SDKs, newest last.
+   * Commands that fail (f.e. simctl on Xcode 5) are skipped
+   *
+   * @method detect
+   * @param {function} exec Runs a command, returns a promise for its output
+   * @return {object} promise Resolves with a list of versions
+   */
+
+  detect: function (exec) {
+    var commands = Object.keys(this.sources);
+
+    return Q.allSettled(commands.map(function (command) {
+      return Q.when(exec(command));
+    })).then(function (outputs) {
+      var versions = [];
+
+      outputs.forEach(function (output, idx) {
+        if (output.state === 'fulfilled') {
+          versions = versions.concat(this[this.sources[commands[idx]]](output.value));
+        }
+      }.bind(this));
+
+      return this.sort(versions);
+    }.bind(this));
+  },
+
+  /**
+   * Parses the output of `xcodebuild -showsdks`
+   *
+   * @method parseShowSdks
+   * @param {string} output Command output
+   * @return {array} Versions
+   */
+
+  parseShowSdks: function (output) {
+    return this._matches(output, /-sdk iphonesimulator(\d+(?:\.\d+)*)/g);
+  },
+
+  /**
+   * Parses the output of `xcrun simctl list runtimes` (Xcode 6+),
+   * runtimes that are not installed are skipped
+   *
+   * @method parseRuntimes
+   * @param {string} output Command output
+   * @return {array} Versions
+   */
+
+  parseRuntimes: function (output) {
+    return this._matches(output.split('\n').filter(function (line) {
+      return !/unavailable/i.test(line);
+    }).join('\n'), /^iOS (\d+(?:\.\d+)*) \(/gm);
+  },
+
+  /**
+   * Parses the output of `instruments -s devices` (Xcode 5)
+   *
+   * @method parseDevices
+   * @param {string} output Command output
+   * @return {array} Versions
+   */
+
+  parseDevices: function (output) {
+    return this._matches(output, /Simulator - iOS (\d+(?:\.\d+)*)/g);
+  },
+
+  /**
+   * Picks the installed version that matches the requested one
+   *
+   * @method resolve
+   * @param {string|null} requested Requested version (7.1, 7.x, 7 or latest)
+   * @param {array} available Installed versions, newest last
+   * @return {string} Version
+   */
+
+  resolve: function (requested, available) {
+    var wanted = String(requested || 'latest').replace(/\.x$/, '');
+    var matches = available.filter(function (version) {
+      return wanted === 'latest' || version === wanted || version.indexOf(wanted + '.') === 0;
+    });
+
+    // an exact match wins over a newer minor version (7.1 should not become 7.1.1)
+    if (available.indexOf(wanted) !== -1 && !/\.x$/.test(String(requested))) {
+      return wanted;
+    }
+
+    if (matches.length === 0) {
+      throw new errors.SimulatorNotFoundError('dalek-browser-ios: iOS ' + (requested || 'latest') + ' is not installed, ' +
+        (available.length ? 'available simulator SDKs: ' + available.join(', ') : 'there is no simulator SDK at all'));
+    }
+
+    return matches[matches.length - 1];
+  },
+
+  /**
+   * Checks if a version needs to be resolved
+   * against the installed SDKs
+   *
+   * @method isPattern
+   * @param {string|null} version Version
+   * @return {bool} Is latest or ends with .x
+   */
+
+  isPattern: function (version) {
+    return !version || version === 'latest' || /\.x$/.test(version);
+  },
+
+  /**
+   * Sorts & dedupes versions, newest last
+   *
+   * @method sort
+   * @param {array} versions Versions
+   * @return {array} Sorted versions
+   */
+
+  sort: function (versions) {
+    return versions
+      .filter(function (version, idx) {
+        return versions.indexOf(version) === idx;
+      })
+      .sort(function (a, b) {
+        var left = a.split('.').map(Number);
+        var right = b.split('.').map(Number);
+        for (var i = 0; i < Math.max(left.length, right.length); i++) {
+          if ((left[i] || 0) !== (right[i] || 0)) {
+            return (left[i] || 0) - (right[i] || 0);
+          }
+        }
+        return 0;
+      });
+  },
+
+  /**
+   * Collects the first group of all matches
+   *
+   * @method _matches
+   * @param {string} output Command output
+   * @param {RegExp} regex Global regex
+   * @return {array} Matches
+   * @private
+   */
+
+  _matches: function (output, regex) {
+    var matches = [];
+    var match;
+
+    while ((match = regex.exec(output)) !== null) {
+      matches.push(match[1]);
+    }
+    return matches;
+  }
+
+};
+
+// expose the module
+module.exports = Sdk;
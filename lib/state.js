@@ -0,0 +1,167 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// int. libs
+var terminator = require('./terminator');
+
+/**
+ * Persists the ports & processes of a run, so that
+ * the next run can clean up if this one crashes.
+ * Every run writes its own file (named after the pid of the Dalek process
+ * & the number of the run, if one process runs multiple devices)
+ *
+ * @module DalekJS
+ * @class StateFile
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} options State file options (dir, run)
+ * @constructor
+ */
+
+var StateFile = function (options) {
+  options = options || {};
+  this.dir = options.dir || path.join(os.tmpdir(), 'dalek-browser-ios-state');
+  this.file = path.join(this.dir, process.pid + (options.run ? '-' + options.run : '') + '.json');
+};
+
+StateFile.prototype = {
+
+  /**
+   * Writes the state of this run
+   *
+   * @method write
+   * @param {object} state State (port, webhookPort, processes)
+   * @chainable
+   */
+
+  write: function (state) {
+    var data = {
+      owner: process.pid,
+      updated: new Date().toISOString(),
+      port: state.port,
+      webhookPort: state.webhookPort,
+      processes: state.processes
+    };
+
+    try {
+      fs.mkdirSync(this.dir);
+    } catch (e) {
+      // directory already exists
+    }
+
+    fs.writeFileSync(this.file, JSON.stringify(data, null, 2));
+    return this;
+  },
+
+  /**
+   * Removes the state file of this run
+   *
+   * @method remove
+   * @chainable
+   */
+
+  remove: function () {
+    this.discard({file: this.file});
+    return this;
+  },
+
+  /**
+   * Loads the state files of runs whose Dalek process is gone
+   *
+   * @method stale
+   * @return {array} List of states
+   */
+
+  stale: function () {
+    var files;
+
+    try {
+      files = fs.readdirSync(this.dir);
+    } catch (e) {
+      return [];
+    }
+
+    return files
+      .filter(function (file) {
+        return path.extname(file) === '.json';
+      })
+      .map(this._read.bind(this))
+      .filter(function (state) {
+        return state && state.owner !== process.pid && !terminator.isAlive(state.owner);
+      });
+  },
+
+  /**
+   * Removes a (stale) state file
+   *
+   * @method discard
+   * @param {object} state State
+   * @chainable
+   */
+
+  discard: function (state) {
+    try {
+      fs.unlinkSync(state.file);
+    } catch (e) {
+      // file is already gone
+    }
+    return this;
+  },
+
+  /**
+   * Reads a state file, broken files
+   * are treated as states without processes
+   *
+   * @method _read
+   * @param {string} file File name
+   * @return {object} State
+   * @private
+   */
+
+  _read: function (file) {
+    var location = path.join(this.dir, file);
+    var state;
+
+    try {
+      state = JSON.parse(fs.readFileSync(location, 'utf8'));
+    } catch (e) {
+      state = {owner: parseInt(file, 10)};
+    }
+
+    state.file = location;
+    state.processes = state.processes || [];
+    return state;
+  }
+
+};
+
+// expose the module
+module.exports = StateFile;
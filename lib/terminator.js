@@ -0,0 +1,163 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+
+/**
+ * Terminates processes & verifies that they are gone,
+ * sends a SIGTERM first & a SIGKILL to the ones
+ * that survived the grace period
+ *
+ * @module DalekJS
+ * @class Terminator
+ * @namespace Browser.iOS
+ * @part iOS
+ */
+
+var Terminator = {
+
+  /**
+   * Interval (in ms) in which the processes
+   * are checked while waiting for them to exit
+   *
+   * @property pollInterval
+   * @type integer
+   * @default 100
+   */
+
+  pollInterval: 100,
+
+  /**
+   * Time (in ms) to wait for processes to exit
+   * after they received a SIGKILL
+   *
+   * @property killTimeout
+   * @type integer
+   * @default 2000
+   */
+
+  killTimeout: 2000,
+
+  /**
+   * Terminates a list of processes
+   *
+   * @method terminate
+   * @param {array} pids Process IDs
+   * @param {integer} gracePeriod Time (in ms) between SIGTERM & SIGKILL
+   * @return {object} promise Resolves when all processes exited, rejects with the survivors
+   */
+
+  terminate: function (pids, gracePeriod) {
+    pids = pids.map(function (pid) {
+      return parseInt(pid, 10);
+    });
+
+    this.signal(pids, 'SIGTERM');
+    return this.waitForExit(pids, gracePeriod).then(function (survivors) {
+      if (survivors.length === 0) {
+        return survivors;
+      }
+
+      this.signal(survivors, 'SIGKILL');
+      return this.waitForExit(survivors, this.killTimeout);
+    }.bind(this)).then(function (survivors) {
+      if (survivors.length > 0) {
+        throw new Error('Processes survived SIGTERM & SIGKILL: ' + survivors.join(', '));
+      }
+    });
+  },
+
+  /**
+   * Sends a signal to a list of processes,
+   * ignores processes that are already gone
+   *
+   * @method signal
+   * @param {array} pids Process IDs
+   * @param {string} signal Signal name
+   * @chainable
+   */
+
+  signal: function (pids, signal) {
+    pids.forEach(function (pid) {
+      try {
+        process.kill(pid, signal);
+      } catch (e) {
+        // process is already gone
+      }
+    });
+
+    return this;
+  },
+
+  /**
+   * Checks if a process is still alive
+   *
+   * @method isAlive
+   * @param {integer} pid Process ID
+   * @return {bool} alive
+   */
+
+  isAlive: function (pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (e) {
+      // EPERM means the process exists, but belongs to someone else
+      return e.code === 'EPERM';
+    }
+  },
+
+  /**
+   * Waits until all processes exited or the timeout is reached
+   *
+   * @method waitForExit
+   * @param {array} pids Process IDs
+   * @param {integer} timeout Time (in ms) to wait
+   * @return {object} promise Resolves with the list of surviving processes
+   */
+
+  waitForExit: function (pids, timeout) {
+    var deferred = Q.defer();
+    var deadline = Date.now() + timeout;
+
+    var check = function () {
+      var survivors = pids.filter(this.isAlive.bind(this));
+      if (survivors.length === 0 || Date.now() >= deadline) {
+        deferred.resolve(survivors);
+        return;
+      }
+      setTimeout(check, this.pollInterval);
+    }.bind(this);
+
+    check();
+    return deferred.promise;
+  }
+
+};
+
+// expose the module
+module.exports = Terminator;
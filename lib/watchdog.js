@@ -0,0 +1,171 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+
+// int. libs
+var webdriver = require('./webdriver');
+
+/**
+ * Checks the Appium server & the simulator in regular intervals
+ * while the tests are running, reports when one of them is gone
+ *
+ * @module DalekJS
+ * @class Watchdog
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {object} server Server location (host, port, path)
+ * @param {object} options Watchdog options (interval, processes (lists the simulator pids of the run), onUnhealthy)
+ * @constructor
+ */
+
+var Watchdog = function (server, options) {
+  this.server = server;
+  this.interval = options.interval;
+  this.processes = options.processes || null;
+  this.onUnhealthy = options.onUnhealthy;
+  this.timer = null;
+  this.busy = false;
+};
+
+Watchdog.prototype = {
+
+  /**
+   * Starts the regular checks
+   *
+   * @method start
+   * @chainable
+   */
+
+  start: function () {
+    this.stop();
+    this.timer = setInterval(this._tick.bind(this), this.interval);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    return this;
+  },
+
+  /**
+   * Stops the regular checks
+   *
+   * @method stop
+   * @chainable
+   */
+
+  stop: function () {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this;
+  },
+
+  /**
+   * Checks appium & the simulator once,
+   * appium has to answer within one interval
+   *
+   * @method check
+   * @return {object} promise Resolves with a diagnosis (component, message) or null if everything is fine
+   */
+
+  check: function () {
+    return webdriver.status(this._server())
+      .then(this._checkSimulator.bind(this), function (err) {
+        return {component: 'appium', message: 'Appium at ' + webdriver.url(this.server) + ' does not respond (' + err.message + ')'};
+      }.bind(this));
+  },
+
+  /**
+   * Checks that the simulator is running,
+   * as long as appium has an open session
+   *
+   * @method _checkSimulator
+   * @return {object} promise Resolves with a diagnosis or null
+   * @private
+   */
+
+  _checkSimulator: function () {
+    if (!this.processes) {
+      return null;
+    }
+
+    return Q.all([webdriver.sessions(this._server()), this.processes()]).spread(function (sessions, pids) {
+      if (sessions.length > 0 && pids.length === 0) {
+        return {component: 'simulator', message: 'Appium has ' + sessions.length + ' open session(s), but the simulator is not running'};
+      }
+      return null;
+    }, function () {
+      // appium answered its status, not being able to look deeper is no diagnosis
+      return null;
+    });
+  },
+
+  /**
+   * Adds the interval as request timeout to the server location,
+   * so that a hung appium can not block the checks forever
+   *
+   * @method _server
+   * @return {object} Server location (host, port, path, timeout)
+   * @private
+   */
+
+  _server: function () {
+    return {host: this.server.host, port: this.server.port, path: this.server.path, timeout: this.interval};
+  },
+
+  /**
+   * Runs a check, unless the previous one is still running
+   *
+   * @method _tick
+   * @chainable
+   * @private
+   */
+
+  _tick: function () {
+    if (this.busy) {
+      return this;
+    }
+
+    this.busy = true;
+    this.check()
+      .then(function (diagnosis) {
+        // the watchdog might have been stopped while the check was running
+        if (diagnosis && this.timer) {
+          this.stop();
+          this.onUnhealthy(diagnosis);
+        }
+      }.bind(this))
+      .fin(function () {
+        this.busy = false;
+      }.bind(this));
+
+    return this;
+  }
+
+};
+
+// expose the module
+module.exports = Watchdog;
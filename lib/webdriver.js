@@ -0,0 +1,207 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+var http = require('http');
+
+/**
+ * Minimal JSON Wire Protocol client, used to talk to
+ * an Appium server the plugin did not start itself
+ *
+ * @module DalekJS
+ * @class WebDriver
+ * @namespace Browser.iOS
+ * @part iOS
+ */
+
+var WebDriver = {
+
+  /**
+   * Sends a request to the WebDriver server
+   * & parses the JSON response
+   *
+   * @method request
+   * @param {object} server Server location (host, port, path & an optional `timeout` in ms)
+   * @param {string} method HTTP method
+   * @param {string} resource Resource, relative to the servers root path
+   * @param {object|undefined} body Request payload
+   * @return {object} promise Resolves with the parsed response
+   */
+
+  request: function (server, method, resource, body) {
+    var deferred = Q.defer();
+    var payload = body ? JSON.stringify(body) : '';
+
+    var req = http.request({
+      host: server.host,
+      port: server.port,
+      path: server.path + resource,
+      method: method,
+      headers: {
+        'Content-Type': 'application/json;charset=UTF-8',
+        'Content-Length': Buffer.byteLength(payload)
+      }
+    }, this._onResponse.bind(this, deferred));
+
+    // a server that takes the connection but never answers must not block forever
+    if (server.timeout) {
+      req.setTimeout(server.timeout, function () {
+        deferred.reject(new Error('No answer from ' + this.url(server) + resource + ' within ' + server.timeout + 'ms'));
+        req.abort();
+      }.bind(this));
+    }
+
+    req.on('error', deferred.reject);
+    req.end(payload);
+    return deferred.promise;
+  },
+
+  /**
+   * Requests the status of the WebDriver server,
+   * rejects if the server is not reachable
+   *
+   * @method status
+   * @param {object} server Server location (host, port, path)
+   * @return {object} promise Resolves with the status response
+   */
+
+  status: function (server) {
+    return this.request(server, 'GET', '/status').then(function (response) {
+      if (response.statusCode !== 200) {
+        throw new Error('Unexpected status code ' + response.statusCode + ' from ' + this.url(server) + '/status');
+      }
+      return response.body;
+    }.bind(this));
+  },
+
+  /**
+   * Lists the ids of all currently running sessions
+   *
+   * @method sessions
+   * @param {object} server Server location (host, port, path)
+   * @return {object} promise Resolves with a list of session ids
+   */
+
+  sessions: function (server) {
+    return this.request(server, 'GET', '/sessions').then(function (response) {
+      var sessions = (response.body && response.body.value) || [];
+      return sessions.map(function (session) {
+        return session.id;
+      });
+    });
+  },
+
+  /**
+   * Opens a session, rejects if the server
+   * could not create it
+   *
+   * @method createSession
+   * @param {object} server Server location (host, port, path)
+   * @param {object} desiredCapabilities Desired capabilities
+   * @return {object} promise Resolves with the session id
+   */
+
+  createSession: function (server, desiredCapabilities) {
+    return this.request(server, 'POST', '/session', {desiredCapabilities: desiredCapabilities}).then(function (response) {
+      var body = response.body || {};
+      if (response.statusCode !== 200 || body.status !== 0 || !body.sessionId) {
+        throw new Error((body.value && body.value.message) || 'Could not create a session (status code ' + response.statusCode + ')');
+      }
+      return body.sessionId;
+    });
+  },
+
+  /**
+   * Ends a session
+   *
+   * @method deleteSession
+   * @param {object} server Server location (host, port, path)
+   * @param {string} sessionId Id of the session to end
+   * @return {object} promise
+   */
+
+  deleteSession: function (server, sessionId) {
+    return this.request(server, 'DELETE', '/session/' + sessionId);
+  },
+
+  /**
+   * Builds the base url of a WebDriver server
+   *
+   * @method url
+   * @param {object} server Server location (host, port, path)
+   * @return {string} url
+   */
+
+  url: function (server) {
+    return 'http://' + server.host + ':' + server.port + server.path;
+  },
+
+  /**
+   * Collects the response body & resolves
+   * the request promise
+   *
+   * @method _onResponse
+   * @param {object} deferred Request promise
+   * @param {http.IncomingMessage} res Response
+   * @chainable
+   * @private
+   */
+
+  _onResponse: function (deferred, res) {
+    var data = '';
+    res.setEncoding('utf8');
+    res.on('data', function (chunk) {
+      data += chunk;
+    });
+    res.on('end', function () {
+      deferred.resolve({statusCode: res.statusCode, body: this._parse(data)});
+    }.bind(this));
+    return this;
+  },
+
+  /**
+   * Parses a response body, falls back
+   * to the raw string if it is no valid JSON
+   *
+   * @method _parse
+   * @param {string} data Response body
+   * @return {object|string} Parsed body
+   * @private
+   */
+
+  _parse: function (data) {
+    try {
+      return JSON.parse(data);
+    } catch (e) {
+      return data;
+    }
+  }
+
+};
+
+// expose the module
+module.exports = WebDriver;
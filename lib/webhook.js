@@ -0,0 +1,199 @@
+/*!
+ *
+ * Copyright (c) 2013 Sebastian Golasch
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+'use strict';
+
+// ext. libs
+var Q = require('q');
+var http = require('http');
+
+/**
+ * Receives the log messages appium sends to the webhook port
+ * & feeds them into the log pipeline of the driver
+ *
+ * @module DalekJS
+ * @class WebhookServer
+ * @namespace Browser.iOS
+ * @part iOS
+ * @param {AppiumLog} log Log pipeline
+ * @param {EventEmitter2} events Reporter event emitter
+ * @constructor
+ */
+
+var WebhookServer = function (log, events) {
+  this.log = log;
+  this.events = events;
+  this.server = null;
+};
+
+WebhookServer.prototype = {
+
+  /**
+   * Starts listening on the webhook port
+   *
+   * @method start
+   * @param {string} host Webhook host
+   * @param {integer} port Webhook port
+   * @return {object} promise Resolves when the server is listening
+   */
+
+  start: function (host, port) {
+    var deferred = Q.defer();
+    var server = http.createServer(this._onRequest.bind(this));
+
+    this.server = server;
+    server.once('error', deferred.reject);
+    server.listen(port, host, function () {
+      // errors after the start must not take down the Dalek process
+      server.removeListener('error', deferred.reject);
+      server.on('error', this._onError.bind(this));
+      deferred.resolve();
+    }.bind(this));
+    return deferred.promise;
+  },
+
+  /**
+   * Stops listening on the webhook port
+   *
+   * @method stop
+   * @return {object} promise Resolves when the server is closed
+   */
+
+  stop: function () {
+    var deferred = Q.defer();
+
+    if (!this.server) {
+      deferred.resolve();
+      return deferred.promise;
+    }
+
+    this.server.close(function () {
+      deferred.resolve();
+    });
+    this.server = null;
+    return deferred.promise;
+  },
+
+  /**
+   * Reports errors of the listening server
+   *
+   * @method _onError
+   * @param {Error} err Server error
+   * @chainable
+   * @private
+   */
+
+  _onError: function (err) {
+    this.events.emit('report:log:system', 'dalek-browser-ios: Webhook server error: ' + err.message);
+    return this;
+  },
+
+  /**
+   * Transforms the payload of a webhook request into a log entry.
+   * Appium (winston) sends `{method: 'log', params: {level, msg, meta}}`
+   *
+   * @method parse
+   * @param {object} payload Parsed request body
+   * @return {object|null} Log entry (level, message) or null
+   */
+
+  parse: function (payload) {
+    var params = (payload && payload.params) || payload;
+
+    if (!params || (params.msg === undefined && params.message === undefined)) {
+      return null;
+    }
+
+    return {
+      level: params.level || 'info',
+      message: String(params.msg !== undefined ? params.msg : params.message)
+    };
+  },
+
+  /**
+   * Collects the request body & logs the contained entries
+   *
+   * @method _onRequest
+   * @param {http.IncomingMessage} req Request
+   * @param {http.ServerResponse} res Response
+   * @chainable
+   * @private
+   */
+
+  _onRequest: function (req, res) {
+    var data = '';
+
+    if (req.method !== 'POST') {
+      res.writeHead(405, {'Allow': 'POST'});
+      res.end();
+      return this;
+    }
+
+    req.setEncoding('utf8');
+    req.on('data', function (chunk) {
+      data += chunk;
+    });
+    req.on('end', function () {
+      this._onBody(res, data);
+    }.bind(this));
+    return this;
+  },
+
+  /**
+   * Logs the entries of a request body,
+   * answers with a 400 if the body is no valid JSON
+   *
+   * @method _onBody
+   * @param {http.ServerResponse} res Response
+   * @param {string} data Request body
+   * @chainable
+   * @private
+   */
+
+  _onBody: function (res, data) {
+    var payload;
+
+    try {
+      payload = JSON.parse(data);
+    } catch (e) {
+      res.writeHead(400);
+      res.end();
+      return this;
+    }
+
+    [].concat(payload).map(this.parse.bind(this)).forEach(function (entry) {
+      if (entry) {
+        this.log.entry(entry.level, entry.message);
+      }
+    }.bind(this));
+
+    res.writeHead(200, {'Content-Type': 'application/json'});
+    res.end('{}');
+    return this;
+  }
+
+};
+
+// expose the module
+module.exports = WebhookServer;
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+'use strict';
+
+// fake appium executable that never becomes ready
+setInterval(function () {}, 1000);
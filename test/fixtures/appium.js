@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+'use strict';
+
+// fake appium executable, answers status & session list requests
+// on the port passed via --port (or prints its version)
+var http = require('http');
+
+if (process.argv.indexOf('--version') !== -1) {
+  console.log('1.3.3');
+  process.exit(0);
+}
+
+var port = parseInt(process.argv[process.argv.indexOf('--port') + 1], 10);
+
+var server = http.createServer(function (req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  if (req.url === '/wd/hub/sessions') {
+    return res.end(JSON.stringify({status: 0, value: []}));
+  }
+  res.end(JSON.stringify({status: 0, value: {build: {version: 'fake'}}}));
+});
+
+server.listen(port, function () {
+  console.log('info: Appium REST http interface listener started on 0.0.0.0:' + port);
+});
+
+process.on('SIGTERM', function () {
+  server.close();
+  process.exit(0);
+});
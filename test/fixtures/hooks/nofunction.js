@@ -0,0 +1,4 @@
+'use strict';
+
+// hook module that forgot to export a function
+module.exports = {};
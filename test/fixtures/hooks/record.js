@@ -0,0 +1,11 @@
+'use strict';
+
+// hook module, remembers the contexts it has been called with
+var Q = require('q');
+
+module.exports = function (context) {
+  module.exports.calls.push(context);
+  return Q.delay(10);
+};
+
+module.exports.calls = [];
@@ -1,5 +1,11 @@
 'use strict';
 
+var fs = require('fs');
+var os = require('os');
+var http = require('http');
+var Q = require('q');
+var path = require('path');
+var EventEmitter = require('events').EventEmitter;
 var expect = require('chai').expect;
 var IosDriver = require('../index');
 
@@ -13,4 +19,618 @@ describe('dalek-browser-ios', function() {
     expect(IosDriver.webhookPort).to.equal(9003);
   });
 
+  it('should create instances that do not share their options', function(){
+    var ipad = IosDriver.create({port: 4800});
+    ipad.appiumArgs.forceIpad = true;
+    expect(ipad.getPort()).to.equal(4800);
+    expect(IosDriver.getPort()).to.equal(4723);
+    expect(IosDriver.appiumArgs.forceIpad).to.not.equal(true);
+  });
+
+  describe('remote mode', function() {
+    var server, port, sessions, deleted, driver;
+    var events = {emit: function () {}};
+
+    var config = function (remote) {
+      return {get: function () { return [{ios: {remote: remote}}]; }};
+    };
+
+    beforeEach(function(done){
+      driver = IosDriver.create();
+      sessions = [{id: 'foreign'}];
+      deleted = [];
+      server = http.createServer(function (req, res) {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'GET' && req.url === '/wd/hub/status') {
+          return res.end(JSON.stringify({status: 0, value: {build: {version: '1.3.3'}}}));
+        }
+        if (req.method === 'GET' && req.url === '/wd/hub/sessions') {
+          return res.end(JSON.stringify({status: 0, value: sessions}));
+        }
+        if (req.method === 'DELETE') {
+          deleted.push(req.url.replace('/wd/hub/session/', ''));
+          return res.end(JSON.stringify({status: 0, value: null}));
+        }
+        res.statusCode = 404;
+        res.end();
+      });
+      server.listen(0, 'localhost', function () {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterEach(function(done){
+      if (driver.cleanupHooks) {
+        driver.cleanupHooks.remove();
+      }
+      server.close(done);
+    });
+
+    it('should resolve the launch promise when the remote server is reachable', function(done){
+      driver.launch({}, events, config({host: 'localhost', port: port})).then(function () {
+        expect(driver.getPort()).to.equal(port);
+        expect(driver.getHost()).to.equal('localhost');
+        expect(driver.path).to.equal('/wd/hub');
+        expect(driver.backend.openSessions).to.eql(['foreign']);
+        done();
+      }).fail(done);
+    });
+
+    it('should reject the launch promise when the remote server is not reachable', function(done){
+      server.close(function () {
+        server.listen(0);
+        driver.launch({}, events, config({host: 'localhost', port: port})).then(function () {
+          done(new Error('launch should have been rejected'));
+        }, function (err) {
+          expect(err.message).to.contain('is not reachable');
+          done();
+        });
+      });
+    });
+
+    it('should only end the sessions dalek opened for the run on kill', function(done){
+      var reporter = new EventEmitter();
+
+      driver.launch({}, reporter, config({host: 'localhost', port: port})).then(function () {
+        // the webdriver client of dalek logs its responses
+        sessions.push({id: 'ours'});
+        reporter.emit('report:log:system:webdriver', 'webdriver: 200 POST /wd/hub/session');
+        reporter.emit('report:log:system:webdriver', 'webdriver: {"sessionId":"ours","status":0,"value":{}}');
+
+        // a teammate opens a session on the shared server
+        sessions.push({id: 'theirs'});
+        return driver.backend.stop();
+      }).then(function () {
+        expect(deleted).to.eql(['ours']);
+        expect(reporter.listeners('report:log:system:webdriver')).to.eql([]);
+        done();
+      }).fail(done);
+    });
+
+    it('should start without the dalek runner', function(done){
+      IosDriver.start({type: 'ipad', remote: {host: 'localhost', port: port}}).then(function (server) {
+        expect(server.url).to.equal('http://localhost:' + port + '/wd/hub');
+        expect(server.port).to.equal(port);
+        expect(server.webhookPort).to.equal(null);
+        return server.stop();
+      }).then(function () {
+        done();
+      }).fail(done);
+    });
+
+    it('should not carry the options of a launch over to the next one', function(done){
+      var ios = {remote: {host: 'localhost', port: port}};
+      var driver = IosDriver.create();
+
+      driver.launch({type: 'ipad'}, events, {get: function () { return [{ios: ios}]; }}).then(function () {
+        expect(driver.appiumArgs.forceIpad).to.equal(true);
+        driver.cleanupHooks.remove();
+        return driver.launch({type: 'iphone'}, events, config({host: 'localhost', port: port}));
+      }).then(function () {
+        driver.cleanupHooks.remove();
+        expect(driver.appiumArgs.forceIpad).to.equal(false);
+        expect(driver.longName).to.contain('iPhone');
+        done();
+      }).fail(done);
+    });
+
+    it('should leave the version to the remote appium, unless it is exact', function(done){
+      driver.launch({type: 'ipad'}, events, config({host: 'localhost', port: port})).then(function () {
+        expect(driver.desiredCapabilities).to.not.have.property('version');
+        expect(driver.desiredCapabilities).to.not.have.property('platformVersion');
+        expect(driver.longName).to.equal('Mobile Safari iOS (iPad Simulator)');
+        driver.cleanupHooks.remove();
+        return driver.launch({type: 'ipad@7.1'}, events, config({host: 'localhost', port: port}));
+      }).then(function () {
+        expect(driver.desiredCapabilities.platformVersion).to.equal('7.1');
+        expect(driver.longName).to.equal('Mobile Safari iOS 7.1 (iPad Simulator)');
+        done();
+      }).fail(done);
+    });
+
+    it('should emit lifecycle events & write the metrics file', function(done){
+      var file = path.join(os.tmpdir(), 'dalek-browser-ios-metrics-' + process.pid + '.json');
+      var lifecycle = [];
+      var recorder = {emit: function (event, payload) {
+        if (event.indexOf('driver:ios:') === 0) {
+          lifecycle.push(event);
+          expect(payload.port).to.equal(port);
+        }
+      }};
+      var ios = {remote: {host: 'localhost', port: port}, metricsFile: file};
+
+      driver.launch({}, recorder, {get: function () { return [{ios: ios}]; }}).then(function () {
+        return driver.kill();
+      }).then(function () {
+        var metrics = JSON.parse(fs.readFileSync(file, 'utf8'));
+        fs.unlinkSync(file);
+        expect(lifecycle).to.eql(['driver:ios:ports-resolved', 'driver:ios:ready', 'driver:ios:killing', 'driver:ios:killed']);
+        expect(metrics.port).to.equal(port);
+        expect(metrics.timings).to.have.keys(['simulatorBoot', 'shutdown']);
+        done();
+      }).fail(done);
+    });
+
+  });
+
+  describe('stub backend', function() {
+
+    it('should launch & kill without a simulator', function(done){
+      var lifecycle = [];
+      var events = {emit: function (event) {
+        if (event.indexOf('driver:ios:') === 0) {
+          lifecycle.push(event);
+        }
+      }};
+      var driver = IosDriver.create();
+      var config = {get: function () { return [{ios: {backend: 'stub', port: 4970}}]; }};
+
+      driver.launch({type: 'iphone'}, events, config).then(function () {
+        expect(driver.getPort()).to.be.within(4970, 5070);
+        expect(driver.backend.server.address().port).to.equal(driver.getPort());
+        return driver.kill();
+      }).then(function () {
+        expect(driver.backend.server).to.equal(null);
+        expect(lifecycle).to.eql(['driver:ios:ports-resolved', 'driver:ios:appium-started', 'driver:ios:ready', 'driver:ios:killing', 'driver:ios:killed']);
+        done();
+      }).fail(done);
+    });
+
+    it('should update the capabilities the dalek driver saved before the launch', function(done){
+      var config = {get: function () { return [{ios: {backend: 'stub', port: 4970, preflight: false}}]; }};
+      // dalek-driver-native reads the capabilities in its constructor, before it calls launch
+      var capabilities = IosDriver.desiredCapabilities;
+      var defaults = IosDriver.driverDefaults;
+
+      IosDriver.launch({type: 'ipad'}, {emit: function () {}}, config).then(function () {
+        expect(capabilities.deviceName).to.equal('iPad Simulator');
+        expect(capabilities.platformName).to.equal('iOS');
+        expect(IosDriver.driverDefaults).to.equal(defaults);
+        return IosDriver.kill();
+      }).then(function () {
+        done();
+      }).fail(done);
+    });
+
+    it('should hand every launch of the exported module to an instance of its own', function(done){
+      var config = {get: function () { return [{ios: {backend: 'stub', port: 4970, preflight: false}}]; }};
+      var events = {emit: function () {}};
+      var handlers = process.listeners('SIGINT').length;
+      var first;
+
+      IosDriver.launch({type: 'iphone'}, events, config).then(function () {
+        first = IosDriver.launches.ios;
+        // dalek-driver-native does not wait for the kill before the next browser launches
+        IosDriver.kill();
+        return IosDriver.launch({type: 'ipad'}, events, config);
+      }).then(function () {
+        var second = IosDriver.launches.ios;
+        expect(Object.keys(IosDriver.launches)).to.eql(['ios']);
+        expect(second).to.not.equal(first);
+        expect(first.backend.server).to.equal(null);
+        expect(process.listeners('SIGINT')).to.have.length(handlers + 1);
+        expect(IosDriver.getPort()).to.equal(second.getPort());
+        expect(IosDriver.desiredCapabilities.deviceName).to.equal('iPad Simulator');
+        return IosDriver.kill();
+      }).then(function () {
+        expect(process.listeners('SIGINT')).to.have.length(handlers);
+        expect(IosDriver.launches).to.eql({});
+        done();
+      }).fail(done);
+    });
+
+    it('should not launch a browser of the exported module again before it has been killed', function(done){
+      var config = {get: function () { return [{ios: {backend: 'stub', port: 4975, preflight: false}}]; }};
+      var events = {emit: function () {}};
+
+      IosDriver.setBrowser('ios:iphone').launch({type: 'iphone'}, events, config).then(function () {
+        return IosDriver.setBrowser('ios:iphone').launch({type: 'iphone'}, events, config);
+      }).then(function () {
+        done(new Error('launch should have been rejected'));
+      }, function (err) {
+        expect(err.code).to.equal('E_CONFIGURATION');
+        expect(err.message).to.contain('"ios:iphone" is already running');
+        return IosDriver.kill().then(function () {
+          expect(IosDriver.launches).to.eql({});
+          IosDriver.setBrowser(null);
+          done();
+        });
+      }).fail(done);
+    });
+
+  });
+
+  describe('lifecycle hooks', function() {
+    var record = require('./fixtures/hooks/record');
+    var events = {emit: function () {}};
+    var config = function (hooks) {
+      hooks.backend = 'stub';
+      hooks.port = 4990;
+      return {get: function () { return [{ios: hooks}]; }};
+    };
+
+    beforeEach(function(){
+      record.calls = [];
+    });
+
+    it('should run the hooks around the launch & kill', function(done){
+      var hook = path.join(__dirname, 'fixtures/hooks/record.js');
+      var driver = IosDriver.create();
+
+      driver.launch({type: 'ipad'}, events, config({beforeLaunch: hook, afterLaunch: hook, beforeKill: hook, afterKill: hook})).then(function () {
+        return driver.kill();
+      }).then(function () {
+        expect(record.calls.map(function (context) {
+          return context.hook;
+        })).to.eql(['beforeLaunch', 'afterLaunch', 'beforeKill', 'afterKill']);
+        expect(record.calls[0].port).to.equal(driver.getPort());
+        expect(record.calls[0].capabilities.deviceName).to.equal('iPad Simulator');
+        expect(record.calls[0].pids).to.eql({appium: [], simulator: []});
+        done();
+      }).fail(done);
+    });
+
+    it('should abort the launch if a hook fails', function(done){
+      var driver = IosDriver.create();
+
+      driver.launch({}, events, config({afterLaunch: 'exit 1', afterKill: path.join(__dirname, 'fixtures/hooks/record.js')})).then(function () {
+        done(new Error('launch should have been rejected'));
+      }, function (err) {
+        expect(err.code).to.equal('E_HOOK');
+        expect(err.message).to.contain('The afterLaunch hook "exit 1" failed');
+        expect(driver.backend.server).to.equal(null);
+        expect(record.calls).to.have.length(1);
+        done();
+      }).fail(done);
+    });
+
+    it('should finish the shutdown if the beforeKill hook fails', function(done){
+      var driver = IosDriver.create();
+
+      driver.launch({}, events, config({beforeKill: 'exit 1'})).then(function () {
+        return driver.kill();
+      }).then(function () {
+        done(new Error('kill should have been rejected'));
+      }, function (err) {
+        expect(err.code).to.equal('E_HOOK');
+        expect(driver.backend.server).to.equal(null);
+        done();
+      }).fail(done);
+    });
+
+  });
+
+  describe('browser name', function() {
+    var config = {get: function () {
+      return [{ios: {backend: 'stub', port: 4970, profiles: {germanphone: {deviceName: 'iPhone 5', locale: 'de_DE', language: 'de'}}}}];
+    }};
+
+    it('should take the browser type from the browser name dalek injects', function(done){
+      var notified = null;
+      var events = {emit: function (event, data) {
+        if (event === 'browser:notify:data:ios:ipad@7.1:landscape') {
+          notified = data;
+        }
+      }};
+      var driver = IosDriver.create().setBrowser('ios:ipad@7.1:landscape');
+
+      // dalek passes no configuration, if the type is not one of the browserTypes
+      driver.launch(null, events, config).then(function () {
+        expect(driver.longName).to.equal('Mobile Safari iOS 7.1 (iPad Simulator)');
+        expect(driver.desiredCapabilities.orientation).to.equal('LANDSCAPE');
+        expect(notified.desiredCapabilities).to.equal(driver.desiredCapabilities);
+        expect(notified.defaults).to.equal(driver.driverDefaults);
+        return driver.kill();
+      }).then(function () {
+        done();
+      }).fail(done);
+    });
+
+    it('should prefer the browser name over a shortened type', function(done){
+      var driver = IosDriver.create().setBrowser('ios:germanphone:landscape');
+
+      driver.launch({type: 'germanphone'}, {emit: function () {}}, config).then(function () {
+        expect(driver.desiredCapabilities.deviceName).to.equal('iPhone 5');
+        expect(driver.desiredCapabilities.locale).to.equal('de_DE');
+        expect(driver.desiredCapabilities.orientation).to.equal('LANDSCAPE');
+        return driver.kill();
+      }).then(function () {
+        done();
+      }).fail(done);
+    });
+
+  });
+
+  describe('configuration layers', function() {
+
+    it('should let the environment override the host & ports of the Dalekfile', function(done){
+      var driver = IosDriver.create({env: {DALEK_IOS_HOST: '127.0.0.1', DALEK_IOS_PORT: '4980'}});
+      var config = {get: function () { return [{ios: {backend: 'stub', host: 'localhost', portRange: [4970, 4975]}}]; }};
+
+      driver.launch({type: 'iphone'}, {emit: function () {}}, config).then(function () {
+        expect(driver.getHost()).to.equal('127.0.0.1');
+        expect(driver.getPort()).to.be.within(4980, 5070);
+        expect(driver.backend.server.address().address).to.equal('127.0.0.1');
+        return driver.kill();
+      }).then(function () {
+        done();
+      }).fail(done);
+    });
+
+    it('should resolve the effective configuration', function(done){
+      var env = {DALEK_IOS_CAPABILITIES_AUTO_ACCEPT_ALERTS: 'true', DALEK_IOS_APPIUM_ARGS_ORIENTATION: 'PORTRAIT'};
+      IosDriver.effectiveConfig({type: 'ipad:landscape', port: 5000, env: env}).then(function (result) {
+        expect(result.config.port).to.equal(5000);
+        expect(result.config.capabilities.autoAcceptAlerts).to.equal(true);
+        expect(result.config.appiumArgs.orientation).to.equal('LANDSCAPE');
+        expect(result.report).to.contain('port: 5000 (Dalekfile)');
+        expect(result.report).to.contain('appiumArgs.orientation: "LANDSCAPE" (browser type)');
+        expect(result.report).to.contain('capabilities.autoAcceptAlerts: true (DALEK_IOS_CAPABILITIES_AUTO_ACCEPT_ALERTS)');
+        done();
+      }).fail(done);
+    });
+
+    it('should reject invalid environment variables', function(done){
+      IosDriver.effectiveConfig({env: {DALEK_IOS_LAUNCH_TIMEOUT: 'soon'}}).then(function () {
+        done(new Error('effectiveConfig should have been rejected'));
+      }, function (err) {
+        expect(err.code).to.equal('E_CONFIGURATION');
+        expect(err.message).to.contain('Invalid value "soon" for "DALEK_IOS_LAUNCH_TIMEOUT"');
+        done();
+      }).fail(done);
+    });
+
+  });
+
+  describe('multiple devices', function() {
+
+    it('should only watch the simulator processes of its own run', function(done){
+      var claims = require('../lib/claims');
+      var driver = IosDriver.create();
+
+      driver.run = 1001;
+      driver.openProcesses = [100];
+      driver.inspector = {pids: function () { return Q.resolve([100, 101, 102]); }};
+
+      // the simulator of another device
+      claims.claim(1002, [102]);
+      driver._ownProcesses().then(function (pids) {
+        expect(pids).to.eql([101]);
+        claims.release(1001).release(1002);
+        claims.claim(1002, [101, 102]);
+        return driver._ownProcesses();
+      }).then(function (pids) {
+        expect(pids).to.eql([]);
+        claims.release(1001).release(1002);
+        done();
+      }).fail(done);
+    });
+
+    it('should run the devices in parallel on their own ports', function(done){
+      this.timeout(10000);
+      var messages = [];
+      var events = {emit: function (event, message) {
+        messages.push(message);
+      }};
+      var config = {get: function (key) {
+        if (key === 'browser') {
+          return ['ios:iphone', 'ios:ipad'];
+        }
+        return [{ios: {backend: 'binary', appiumBinary: __dirname + '/fixtures/appium.js', port: 4950, webhookPort: 9950, preflight: false}}];
+      }};
+      var iphone = IosDriver.create();
+      var ipad = IosDriver.create();
+
+      Q.all([iphone.launch({type: 'iphone'}, events, config), ipad.launch({type: 'ipad'}, events, config)]).then(function () {
+        expect(iphone.getPort()).to.not.equal(ipad.getPort());
+        expect(iphone.stateFile.file).to.not.equal(ipad.stateFile.file);
+        expect(messages.filter(function (message) {
+          return /^dalek-browser-ios \[(iphone|ipad)\]: Switching to port: 4951$/.test(message);
+        })).to.have.length(1);
+        return Q.all([iphone.kill(), ipad.kill()]);
+      }).then(function () {
+        done();
+      }).fail(done);
+    });
+
+    it('should run the devices through the exported module, the way dalek does', function(done){
+      this.timeout(10000);
+      var messages = [];
+      var events = {emit: function (event, message) {
+        messages.push(message);
+      }};
+      var config = {get: function (key) {
+        if (key === 'browser') {
+          return ['ios:iphone', 'ios:ipad'];
+        }
+        return [{ios: {backend: 'binary', appiumBinary: __dirname + '/fixtures/appium.js', port: 4955, webhookPort: 9955, preflight: false}}];
+      }};
+
+      // dalek injects the browser name & launches the one exported object for every browser
+      var iphone = IosDriver.setBrowser('ios:iphone').launch({type: 'iphone'}, events, config);
+      var ipad = IosDriver.setBrowser('ios:ipad').launch({type: 'ipad'}, events, config);
+
+      Q.all([iphone, ipad]).then(function () {
+        iphone = IosDriver.launches['ios:iphone'];
+        ipad = IosDriver.launches['ios:ipad'];
+        expect(iphone.getPort()).to.not.equal(ipad.getPort());
+        expect(iphone.stateFile.file).to.not.equal(ipad.stateFile.file);
+        expect(messages.filter(function (message) {
+          return /^dalek-browser-ios \[(iphone|ipad)\]: Switching to port: 4956$/.test(message);
+        })).to.have.length(1);
+
+        // dalek reads the location & capabilities of the browser it set last
+        expect(IosDriver.getPort()).to.equal(ipad.getPort());
+        expect(IosDriver.desiredCapabilities.deviceName).to.equal('iPad Simulator');
+
+        // ... & kills the browser whose tests are done
+        IosDriver.setBrowser('ios:iphone');
+        expect(IosDriver.getPort()).to.equal(iphone.getPort());
+        expect(IosDriver.webhookPort).to.equal(iphone.getWebhookPort());
+        expect(IosDriver.desiredCapabilities.deviceName).to.equal('iPhone Simulator');
+        expect(IosDriver.longName).to.contain('iPhone');
+        return IosDriver.kill();
+      }).then(function () {
+        expect(iphone.backend.pids()).to.eql([]);
+        expect(ipad.backend.pids()).to.have.length(1);
+        expect(Object.keys(IosDriver.launches)).to.eql(['ios:ipad']);
+
+        IosDriver.setBrowser('ios:ipad');
+        expect(IosDriver.getPort()).to.equal(ipad.getPort());
+        expect(IosDriver.desiredCapabilities.deviceName).to.equal('iPad Simulator');
+        return IosDriver.kill();
+      }).then(function () {
+        expect(ipad.backend.pids()).to.eql([]);
+        expect(IosDriver.launches).to.eql({});
+        IosDriver.setBrowser(null);
+        done();
+      }).fail(done);
+    });
+
+  });
+
+  describe('simulator sdks', function() {
+    var events = {emit: function () {}};
+    var config = {get: function () {
+      return [{ios: {backend: 'binary', appiumBinary: __dirname + '/fixtures/appium.js', port: 4960, webhookPort: 9960, preflight: false}}];
+    }};
+    var exec = function (command) {
+      return command === 'xcodebuild -showsdks' ?
+        Q.resolve(fs.readFileSync(__dirname + '/fixtures/xcode/showsdks.txt', 'utf8')) :
+        Q.reject(new Error('command not found'));
+    };
+
+    it('should run the newest installed sdk that matches', function(done){
+      this.timeout(10000);
+      var driver = IosDriver.create({exec: exec});
+      driver.launch({type: 'ipad@7.x'}, events, config).then(function () {
+        expect(driver.desiredCapabilities.platformVersion).to.equal('7.1');
+        expect(driver.longName).to.equal('Mobile Safari iOS 7.1 (iPad Simulator)');
+        return driver.kill();
+      }).then(function () {
+        done();
+      }).fail(done);
+    });
+
+    it('should reject if the sdk is not installed', function(done){
+      IosDriver.create({exec: exec}).launch({type: 'iphone@9.x'}, events, config).then(function () {
+        done(new Error('launch should have been rejected'));
+      }, function (err) {
+        expect(err.code).to.equal('E_SIMULATOR_NOT_FOUND');
+        expect(err.message).to.contain('available simulator SDKs: 7.1, 8.1');
+        done();
+      }).fail(done);
+    });
+
+  });
+
+  describe('launch errors', function() {
+    var messages, driver;
+    var events = {emit: function (event, message) {
+      messages.push(message);
+    }};
+
+    var config = function (ios) {
+      // the tests run on hosts without the iOS toolchain
+      ios.preflight = false;
+      return {get: function () { return [{ios: ios}]; }};
+    };
+
+    beforeEach(function(){
+      messages = [];
+      driver = IosDriver.create();
+    });
+
+    it('should reject with a PortExhaustedError if no port is free', function(done){
+      var logFile = path.join(os.tmpdir(), 'dalek-browser-ios-launch-' + process.pid + '.log');
+      var server = http.createServer().listen(0, 'localhost', function () {
+        var port = server.address().port;
+        driver.launch({}, events, config({portRange: [port, port], logFile: logFile})).then(function () {
+          done(new Error('launch should have been rejected'));
+        }, function (err) {
+          server.close();
+          fs.unlinkSync(logFile);
+          expect(err.code).to.equal('E_PORT_EXHAUSTED');
+          expect(err.message).to.contain('No free Appium port between ' + port + ' and ' + port);
+          // the failed launch does not leave the log file open
+          expect(driver.appiumLog.stream).to.equal(null);
+          done();
+        }).fail(done);
+      });
+    });
+
+    it('should reject with a ConfigurationError if the options are invalid', function(done){
+      driver.launch({}, events, config({portRange: [9100, 9000], prot: 1})).then(function () {
+        done(new Error('launch should have been rejected'));
+      }, function (err) {
+        expect(err.code).to.equal('E_CONFIGURATION');
+        expect(err.message).to.contain('"browsers.ios.portRange"');
+        expect(messages).to.eql(['dalek-browser-ios: Unknown option "browsers.ios.prot" will be ignored']);
+        done();
+      }).fail(done);
+    });
+
+    it('should reject with a LaunchTimeoutError after the last retry', function(done){
+      this.timeout(10000);
+      driver.launch({}, events, config({
+        backend: 'binary',
+        appiumBinary: __dirname + '/fixtures/appium-hang.js',
+        launchTimeout: 500,
+        launchRetries: 1
+      })).then(function () {
+        done(new Error('launch should have been rejected'));
+      }, function (err) {
+        expect(err.code).to.equal('E_LAUNCH_TIMEOUT');
+        expect(messages).to.contain('dalek-browser-ios: Appium did not start within 500ms, retrying (1 left)');
+        expect(driver.backend.exited).to.equal(true);
+        done();
+      }).fail(done);
+    });
+
+    it('should retry on a fresh port of the configured range', function(done){
+      this.timeout(10000);
+      var lockDir = path.join(os.tmpdir(), 'dalek-browser-ios-retry-' + process.pid);
+      driver.launch({}, events, config({
+        backend: 'binary',
+        appiumBinary: __dirname + '/fixtures/appium-hang.js',
+        portRange: [4986, 4987],
+        webhookPortRange: [9986, 9987],
+        portLockDir: lockDir,
+        launchTimeout: 300,
+        launchRetries: 2
+      })).then(function () {
+        done(new Error('launch should have been rejected'));
+      }, function (err) {
+        expect(messages).to.contain('dalek-browser-ios: Switching to port: 4987');
+        expect(err.code).to.equal('E_PORT_EXHAUSTED');
+        expect(err.message).to.contain('No free Appium port between 4986 and 4987');
+        expect(fs.readdirSync(lockDir)).to.eql([]);
+        fs.rmdirSync(lockDir);
+        done();
+      }).fail(done);
+    });
+
+  });
+
 });
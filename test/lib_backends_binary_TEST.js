@@ -0,0 +1,59 @@
+'use strict';
+
+var expect = require('chai').expect;
+var portscanner = require('portscanner');
+var AppiumLog = require('../lib/log');
+var BinaryBackend = require('../lib/backends/binary');
+
+describe('dalek-browser-ios BinaryBackend', function() {
+  var lines, driver;
+
+  beforeEach(function(done){
+    lines = [];
+    portscanner.findAPortNotInUse(4723, 4823, 'localhost', function (err, port) {
+      var events = {emit: function (event, line) {
+        if (event === 'report:log:browser') {
+          lines.push(line);
+        }
+      }};
+      driver = {
+        appiumBinary: __dirname + '/fixtures/appium.js',
+        path: '/wd/hub',
+        killGracePeriod: 1000,
+        reporterEvents: events,
+        appiumLog: new AppiumLog(events, {level: 'info'}),
+        getHost: function () { return 'localhost'; },
+        getPort: function () { return port; }
+      };
+      done(err);
+    });
+  });
+
+  it('should transform appium arguments into command line arguments', function(){
+    var backend = new BinaryBackend(driver);
+    var args = backend.buildArgs({port: 4723, forceIpad: true, forceIphone: false, app: null, address: '0.0.0.0'});
+    expect(args).to.eql(['--port', '4723', '--force-ipad', '--address', '0.0.0.0']);
+  });
+
+  it('should start & stop the appium binary', function(done){
+    var backend = new BinaryBackend(driver);
+    backend.start({port: driver.getPort()}).then(function () {
+      expect(lines).to.contain('appium info: Appium REST http interface listener started on 0.0.0.0:' + driver.getPort());
+      return backend.stop();
+    }).then(function () {
+      expect(backend.exited).to.equal(true);
+      done();
+    }).fail(done);
+  });
+
+  it('should reject if the binary can not be spawned', function(done){
+    driver.appiumBinary = __dirname + '/fixtures/does-not-exist';
+    new BinaryBackend(driver).start({port: driver.getPort()}).then(function () {
+      done(new Error('start should have been rejected'));
+    }, function (err) {
+      expect(err.message).to.contain('Could not start Appium binary');
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+var expect = require('chai').expect;
+var portscanner = require('portscanner');
+var WebDriver = require('../lib/webdriver');
+var StubBackend = require('../lib/backends/stub');
+
+describe('dalek-browser-ios StubBackend', function() {
+  var backend, server;
+
+  beforeEach(function(done){
+    portscanner.findAPortNotInUse(4723, 4823, 'localhost', function (err, port) {
+      server = {host: 'localhost', port: port, path: '/wd/hub'};
+      backend = new StubBackend({path: '/wd/hub', getHost: function () { return 'localhost'; }});
+      if (err) {
+        return done(err);
+      }
+      backend.start({port: port}).then(function () {
+        done();
+      }).fail(done);
+    });
+  });
+
+  afterEach(function(done){
+    backend.stop().then(function () {
+      done();
+    }).fail(done);
+  });
+
+  it('should not need a simulator', function(){
+    expect(backend.local).to.equal(true);
+    expect(backend.simulator).to.equal(false);
+    expect(backend.pids()).to.eql([]);
+  });
+
+  it('should open sessions with the desired capabilities', function(done){
+    WebDriver.createSession(server, {browserName: 'safari'}).then(function (id) {
+      expect(id).to.equal('stub-1');
+      return WebDriver.sessions(server);
+    }).then(function (sessions) {
+      expect(sessions).to.eql(['stub-1']);
+      done();
+    }).fail(done);
+  });
+
+  it('should answer navigation, element & screenshot commands', function(done){
+    var id;
+    WebDriver.createSession(server, {}).then(function (session) {
+      id = session;
+      return WebDriver.request(server, 'POST', '/session/' + id + '/url', {url: 'http://dalekjs.com'});
+    }).then(function () {
+      return WebDriver.request(server, 'GET', '/session/' + id + '/url');
+    }).then(function (response) {
+      expect(response.body.value).to.equal('http://dalekjs.com');
+      return WebDriver.request(server, 'POST', '/session/' + id + '/element', {using: 'css selector', value: 'h1'});
+    }).then(function (response) {
+      expect(response.body.value).to.eql({ELEMENT: '1'});
+      return WebDriver.request(server, 'GET', '/session/' + id + '/element/1/attribute/class');
+    }).then(function (response) {
+      expect(response.body.status).to.equal(0);
+      return WebDriver.request(server, 'GET', '/session/' + id + '/screenshot');
+    }).then(function (response) {
+      expect(new Buffer(response.body.value, 'base64').slice(1, 4).toString()).to.equal('PNG');
+      done();
+    }).fail(done);
+  });
+
+  it('should end sessions', function(done){
+    WebDriver.createSession(server, {}).then(function (id) {
+      return WebDriver.deleteSession(server, id);
+    }).then(function () {
+      return WebDriver.sessions(server);
+    }).then(function (sessions) {
+      expect(sessions).to.eql([]);
+      return WebDriver.request(server, 'GET', '/session/stub-1/url');
+    }).then(function (response) {
+      expect(response.body.status).to.equal(6);
+      done();
+    }).fail(done);
+  });
+
+  it('should reject unknown commands', function(done){
+    WebDriver.request(server, 'POST', '/touch/flick', {}).then(function (response) {
+      expect(response.statusCode).to.equal(404);
+      expect(response.body.value.message).to.equal('Unknown command: POST /touch/flick');
+      done();
+    }).fail(done);
+  });
+
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+var expect = require('chai').expect;
+var browserType = require('../lib/browsertype');
+
+describe('dalek-browser-ios BrowserType', function() {
+
+  it('should parse a plain device', function(){
+    expect(browserType.parse('ipad')).to.eql({device: 'ipad', version: null, orientation: null, locale: null, language: null});
+  });
+
+  it('should parse an empty type', function(){
+    expect(browserType.parse(undefined).device).to.equal(null);
+  });
+
+  it('should parse device, version, orientation & locale', function(){
+    expect(browserType.parse('ios:iphone@8.0:portrait:de_DE')).to.eql({
+      device: 'iphone',
+      version: '8.0',
+      orientation: 'portrait',
+      locale: 'de_DE',
+      language: 'de'
+    });
+  });
+
+  it('should accept orientation & locale in any order', function(){
+    var type = browserType.parse('ipad@7.1:fr_FR:landscape');
+    expect(type.orientation).to.equal('landscape');
+    expect(type.locale).to.equal('fr_FR');
+  });
+
+  it('should throw on unknown tokens', function(){
+    expect(function () {
+      browserType.parse('ipad@7.1:sideways');
+    }).to.throw('Invalid token "sideways" in browser type "ipad@7.1:sideways"');
+  });
+
+  it('should throw on invalid versions', function(){
+    expect(function () {
+      browserType.parse('ipad@latest-ish');
+    }).to.throw('expected an iOS version like 7.1');
+  });
+
+});
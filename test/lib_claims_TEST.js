@@ -0,0 +1,24 @@
+'use strict';
+
+var expect = require('chai').expect;
+var claims = require('../lib/claims');
+
+describe('dalek-browser-ios ProcessClaims', function() {
+
+  afterEach(function(){
+    claims.release(1).release(2);
+  });
+
+  it('should give a process to the first run that claims it', function(){
+    expect(claims.claim(1, [10, 11])).to.eql([10, 11]);
+    expect(claims.claim(2, [11, 12])).to.eql([12]);
+    expect(claims.claim(1, [10, 11, 12])).to.eql([10, 11]);
+  });
+
+  it('should free the processes of a run on release', function(){
+    claims.claim(1, [10]);
+    claims.release(1);
+    expect(claims.claim(2, [10])).to.eql([10]);
+  });
+
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+var Q = require('q');
+var expect = require('chai').expect;
+var CleanupHooks = require('../lib/cleanup');
+
+describe('dalek-browser-ios CleanupHooks', function() {
+  var calls, others;
+
+  var create = function (shutdown) {
+    return new CleanupHooks(shutdown || function () {
+      calls.push('shutdown');
+    }, {
+      timeout: 200,
+      raise: function (signal) {
+        calls.push('raise ' + signal);
+      },
+      rethrow: function (err) {
+        calls.push('rethrow ' + err.message);
+      },
+      // the listeners of everyone else
+      listeners: function (event) {
+        return others[event] || [];
+      }
+    });
+  };
+
+  var listeners = {};
+
+  beforeEach(function(){
+    calls = [];
+    others = {};
+    // the test runner listens for signals too
+    ['SIGINT', 'SIGTERM'].forEach(function (signal) {
+      listeners[signal] = process.listeners(signal);
+      process.removeAllListeners(signal);
+    });
+  });
+
+  afterEach(function(){
+    ['SIGINT', 'SIGTERM'].forEach(function (signal) {
+      listeners[signal].forEach(process.on.bind(process, signal));
+    });
+  });
+
+  it('should register & remove its handlers', function(){
+    var hooks = create().register();
+    expect(process.listeners('SIGINT')).to.eql([hooks.handlers.SIGINT]);
+    expect(process.listeners('SIGTERM')).to.eql([hooks.handlers.SIGTERM]);
+    hooks.remove();
+    expect(process.listeners('SIGINT')).to.eql([]);
+  });
+
+  it('should shut down, remove itself & re-raise signals', function(done){
+    var hooks = create().register();
+    hooks._onSignal('SIGTERM').then(function () {
+      expect(calls).to.eql(['shutdown', 'raise SIGTERM']);
+      expect(hooks.handlers).to.eql({});
+      done();
+    }).fail(done);
+  });
+
+  it('should skip the shutdown on a second signal', function(done){
+    var hooks = create(function () {
+      calls.push('shutdown');
+      return Q.defer().promise;
+    }).register();
+
+    var first = hooks._onSignal('SIGINT');
+    hooks._onSignal('SIGINT').then(function () {
+      expect(calls).to.have.members(['shutdown', 'raise SIGINT']);
+      // the first shutdown times out, it must not leak into the next test
+      return first;
+    }).then(function () {
+      done();
+    }).fail(done);
+  });
+
+  it('should not wait forever for a hanging shutdown', function(done){
+    var hooks = create(function () {
+      return Q.defer().promise;
+    }).register();
+
+    hooks._onSignal('SIGTERM').then(function () {
+      expect(calls).to.eql(['raise SIGTERM']);
+      done();
+    }).fail(done);
+  });
+
+  it('should shut down on uncaught exceptions', function(done){
+    var hooks = create(function () {
+      throw new Error('shutdown failed');
+    }).register();
+
+    // someone else listens for uncaught exceptions, so the exception is not rethrown
+    others.uncaughtException = [function () {}];
+    hooks._onException(new Error('boom')).then(function () {
+      expect(hooks.handlers).to.eql({});
+      expect(calls).to.eql([]);
+      done();
+    }).fail(done);
+  });
+
+  it('should rethrow uncaught exceptions nobody else takes care of', function(done){
+    var hooks = create().register();
+    hooks._onException(new Error('boom')).then(function () {
+      expect(calls).to.eql(['shutdown', 'rethrow boom']);
+      done();
+    }).fail(done);
+  });
+
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+var expect = require('chai').expect;
+var config = require('../lib/config');
+
+describe('dalek-browser-ios Config', function() {
+
+  it('should name the environment variables after the options', function(){
+    expect(config.variable('host')).to.equal('DALEK_IOS_HOST');
+    expect(config.variable('webhookPortRange')).to.equal('DALEK_IOS_WEBHOOK_PORT_RANGE');
+    expect(config.variable('readiness.timeout')).to.equal('DALEK_IOS_READINESS_TIMEOUT');
+    expect(config.declarations()).to.not.have.property('DALEK_IOS_PROFILES');
+  });
+
+  it('should convert the environment variables into options', function(){
+    var result = config.environment({
+      DALEK_IOS_PORT: '5000',
+      DALEK_IOS_WEBHOOK_PORT_RANGE: '6200-6220',
+      DALEK_IOS_SIMULATOR_PROCESSES: 'Simulator.app, iOS Simulator.app',
+      DALEK_IOS_WATCHDOG_RELAUNCH: 'true',
+      DALEK_IOS_APPIUM_ARGS_FULL_RESET: 'true',
+      DALEK_IOS_CAPABILITIES_BUNDLE_ID: 'com.example.app',
+      HOME: '/root'
+    });
+
+    expect(result.errors).to.eql([]);
+    expect(result.variables).to.eql([
+      {name: 'DALEK_IOS_APPIUM_ARGS_FULL_RESET', path: ['appiumArgs', 'fullReset'], value: true},
+      {name: 'DALEK_IOS_CAPABILITIES_BUNDLE_ID', path: ['capabilities', 'bundleId'], value: 'com.example.app'},
+      {name: 'DALEK_IOS_PORT', path: ['port'], value: 5000},
+      {name: 'DALEK_IOS_SIMULATOR_PROCESSES', path: ['simulatorProcesses'], value: ['Simulator.app', 'iOS Simulator.app']},
+      {name: 'DALEK_IOS_WATCHDOG_RELAUNCH', path: ['watchdog', 'relaunch'], value: true},
+      {name: 'DALEK_IOS_WEBHOOK_PORT_RANGE', path: ['webhookPortRange'], value: [6200, 6220]}
+    ]);
+  });
+
+  it('should report invalid & unknown environment variables', function(){
+    var result = config.environment({DALEK_IOS_PORT: 'abc', DALEK_IOS_LOG_LEVEL: 'loud', DALEK_IOS_PORTS: '1'});
+    expect(result.errors).to.eql([
+      'Invalid value "loud" for "DALEK_IOS_LOG_LEVEL": expected one of debug, info, warn, error',
+      'Invalid value "abc" for "DALEK_IOS_PORT": expected a port between 1 and 65535'
+    ]);
+    expect(result.warnings).to.eql(['Unknown environment variable "DALEK_IOS_PORTS" will be ignored']);
+  });
+
+  it('should let the environment override the Dalekfile', function(){
+    var browsers = [{ios: {host: 'mac-mini.local', portRange: [4800, 4810], appiumArgs: {fullReset: true}, readiness: {timeout: 1000}}}];
+    var result = config.resolve(browsers, {DALEK_IOS_PORT: '5000', DALEK_IOS_READINESS_INTERVAL: '50'}, 'ipad@7.1');
+
+    expect(result.options).to.eql({
+      host: 'mac-mini.local',
+      port: 5000,
+      appiumArgs: {fullReset: true},
+      readiness: {timeout: 1000, interval: 50}
+    });
+    expect(result.sources).to.eql({
+      host: 'Dalekfile',
+      port: 'DALEK_IOS_PORT',
+      'appiumArgs.fullReset': 'Dalekfile',
+      'readiness.timeout': 'Dalekfile',
+      'readiness.interval': 'DALEK_IOS_READINESS_INTERVAL',
+      'profile.device': 'browser type',
+      'profile.version': 'browser type'
+    });
+  });
+
+  it('should print the effective configuration with its sources', function(){
+    var report = config.format({port: 5000, maxPort: 5090, readiness: {timeout: 1000}, capabilities: {platformVersion: '7.1'}, remote: null}, {
+      port: 'DALEK_IOS_PORT',
+      'profile.version': 'browser type'
+    });
+
+    expect(report.split('\n')).to.eql([
+      'port: 5000 (DALEK_IOS_PORT)',
+      'maxPort: 5090 (DALEK_IOS_PORT)',
+      'readiness.timeout: 1000 (default)',
+      'capabilities.platformVersion: "7.1" (browser type)',
+      'remote: null (default)'
+    ]);
+  });
+
+});
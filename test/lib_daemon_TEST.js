@@ -0,0 +1,127 @@
+'use strict';
+
+var os = require('os');
+var fs = require('fs');
+var cp = require('child_process');
+var path = require('path');
+var expect = require('chai').expect;
+var daemon = require('../lib/daemon');
+var IosDriver = require('../index');
+
+describe('dalek-browser-ios Daemon', function() {
+  var socket = path.join(os.tmpdir(), 'dalek-browser-ios-daemon-test-' + process.pid + '.sock');
+
+  describe('control socket', function() {
+    var server;
+
+    beforeEach(function(done){
+      daemon.serve(socket, {status: function () { return {pid: 42}; }}).then(function (listening) {
+        server = listening;
+        done();
+      }).fail(done);
+    });
+
+    afterEach(function(done){
+      server.close(function () {
+        done();
+      });
+    });
+
+    it('should answer commands', function(done){
+      daemon.request(socket, 'status').then(function (status) {
+        expect(status).to.eql({pid: 42});
+        done();
+      }).fail(done);
+    });
+
+    it('should not take the socket of a daemon that is running', function(done){
+      daemon.serve(socket, {}).then(function () {
+        done(new Error('serve should have been rejected'));
+      }, function (err) {
+        expect(err.message).to.equal('dalek-browser-ios: Another daemon (pid 42) is listening on ' + socket);
+        return daemon.request(socket, 'status').then(function (status) {
+          expect(status).to.eql({pid: 42});
+          done();
+        });
+      }).fail(done);
+    });
+
+    it('should take over the socket a crashed daemon left behind', function(done){
+      var stale = socket + '.stale';
+      var script = 'require("net").createServer().listen(process.argv[1], function () { process.kill(process.pid, "SIGKILL"); });';
+
+      // a crashed daemon does not remove its socket
+      cp.spawn(process.execPath, ['-e', script, stale]).on('exit', function () {
+        expect(fs.existsSync(stale)).to.equal(true);
+        daemon.serve(stale, {status: function () { return {pid: 43}; }}).then(function (listening) {
+          return daemon.request(stale, 'status').then(function (status) {
+            expect(status).to.eql({pid: 43});
+            listening.close(function () {
+              done();
+            });
+          });
+        }).fail(done);
+      });
+    });
+
+    it('should reject unknown commands', function(done){
+      daemon.request(socket, 'restart').then(function () {
+        done(new Error('request should have been rejected'));
+      }, function (err) {
+        expect(err.message).to.equal('Unknown command "restart"');
+        done();
+      }).fail(done);
+    });
+
+  });
+
+  describe('daemon mode', function() {
+    var messages = [];
+    var events = {emit: function (event, message) {
+      messages.push(message);
+    }};
+    var config = {get: function () {
+      return [{ios: {
+        backend: 'binary',
+        appiumBinary: __dirname + '/fixtures/appium.js',
+        port: 4970,
+        webhookPort: 9970,
+        daemon: true,
+        daemonSocket: socket,
+        preflight: false
+      }}];
+    }};
+
+    after(function(done){
+      daemon.request(socket, 'stop').fin(function () {
+        done();
+      });
+    });
+
+    it('should start the daemon once & reuse it', function(done){
+      this.timeout(20000);
+      var first = IosDriver.create();
+      var second = IosDriver.create();
+
+      first.launch({}, events, config).then(function () {
+        expect(first.backendType).to.equal('remote');
+        expect(messages).to.contain('dalek-browser-ios: Starting the daemon on ' + socket);
+        return first.kill();
+      }).then(function () {
+        return second.launch({}, events, config);
+      }).then(function () {
+        expect(second.getPort()).to.equal(first.getPort());
+        return second.kill();
+      }).then(function () {
+        return daemon.request(socket, 'status');
+      }).then(function (status) {
+        expect(status.port).to.equal(first.getPort());
+        return second.stopDaemon();
+      }).then(function () {
+        done();
+      }).fail(done);
+    });
+
+  });
+
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+var fs = require('fs');
+var Q = require('q');
+var expect = require('chai').expect;
+var Doctor = require('../lib/doctor');
+var IosDriver = require('../index');
+
+describe('dalek-browser-ios Doctor', function() {
+  var outputs;
+
+  var fixture = function (name) {
+    return fs.readFileSync(__dirname + '/fixtures/xcode/' + name + '.txt', 'utf8');
+  };
+
+  // replays recorded command output, unknown commands fail
+  var exec = function (command) {
+    return outputs[command] !== undefined ? Q.resolve(outputs[command]) : Q.reject(new Error('command not found'));
+  };
+
+  var settings = {backend: 'binary', simulator: true, appiumBinary: 'appium', host: 'localhost', port: 4990, webhookPort: 9990};
+
+  var statuses = function (results) {
+    var result = {};
+    results.forEach(function (check) {
+      result[check.name] = check.status;
+    });
+    return result;
+  };
+
+  beforeEach(function(){
+    outputs = {
+      'xcodebuild -version': fixture('version'),
+      'xcodebuild -showsdks': fixture('showsdks'),
+      'xcrun -f instruments': '/Applications/Xcode.app/Contents/Developer/usr/bin/instruments\n',
+      'appium --version': '1.3.3\n'
+    };
+  });
+
+  it('should pass on a mac with a complete toolchain', function(done){
+    var doctor = new Doctor({exec: exec, platform: 'darwin', nodeVersion: 'v0.10.33'});
+    doctor.run(settings).then(function (results) {
+      expect(doctor.failed(results)).to.equal(false);
+      expect(doctor.report(results)).to.contain('[pass] xcode: Xcode 6.1');
+      expect(doctor.report(results)).to.contain('[pass] sdks: iOS simulator SDKs 7.1, 8.1');
+      done();
+    }).fail(done);
+  });
+
+  it('should fail on hosts that can not run the simulator', function(done){
+    var doctor = new Doctor({exec: exec, platform: 'linux', nodeVersion: 'v0.10.33'});
+    doctor.run(settings).then(function (results) {
+      expect(doctor.failed(results)).to.equal(true);
+      expect(doctor.report(results)).to.contain('[fail] os: Linux can not run the iOS simulator');
+      done();
+    }).fail(done);
+  });
+
+  it('should fail without Xcode & simulator SDKs', function(done){
+    delete outputs['xcodebuild -version'];
+    outputs['xcodebuild -showsdks'] = 'iOS SDKs:\n\tiOS 8.1\t-sdk iphoneos8.1\n';
+    new Doctor({exec: exec, platform: 'darwin', nodeVersion: 'v0.10.33'}).run(settings).then(function (results) {
+      expect(statuses(results)).to.include({xcode: 'fail', sdks: 'fail', instruments: 'pass'});
+      done();
+    }).fail(done);
+  });
+
+  it('should fail on old Node versions', function(done){
+    new Doctor({exec: exec, platform: 'darwin', nodeVersion: 'v0.8.26'}).run(settings).then(function (results) {
+      expect(statuses(results).node).to.equal('fail');
+      done();
+    }).fail(done);
+  });
+
+  it('should only check node & the backend for remote servers', function(done){
+    var remote = {backend: 'remote', simulator: false, host: 'localhost', port: 1, path: '/wd/hub'};
+    new Doctor({exec: exec, platform: 'linux'}).run(remote).then(function (results) {
+      expect(statuses(results)).to.eql({node: 'pass', backend: 'fail'});
+      done();
+    }).fail(done);
+  });
+
+  it('should name the host os', function(){
+    expect(Doctor.osName('darwin')).to.equal('Mac OSX');
+    expect(Doctor.osName('linux')).to.equal('Linux');
+    expect(IosDriver.driverDefaults.status.os.name).to.equal(Doctor.osName(process.platform));
+  });
+
+  it('should be available from the driver', function(done){
+    IosDriver.doctor({type: 'ipad', backend: 'binary', port: 4990, webhookPort: 9990, exec: exec, platform: 'darwin'}).then(function (result) {
+      expect(result.failed).to.equal(false);
+      expect(result.report).to.contain('[pass] backend: Appium 1.3.3 (appium)');
+      done();
+    }).fail(done);
+  });
+
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+var expect = require('chai').expect;
+var DeviceEvents = require('../lib/events');
+
+describe('dalek-browser-ios DeviceEvents', function() {
+  var emitted, events;
+
+  beforeEach(function(){
+    emitted = [];
+    events = new DeviceEvents({emit: function (type, payload) {
+      emitted.push([type, payload]);
+    }}, 'ipad');
+  });
+
+  it('should tag system log messages', function(){
+    events.emit('report:log:system', 'dalek-browser-ios: Switching to port: 4724');
+    expect(emitted).to.eql([['report:log:system', 'dalek-browser-ios [ipad]: Switching to port: 4724']]);
+  });
+
+  it('should tag other log messages', function(){
+    events.emit('report:log:browser', 'appium warn: something');
+    expect(emitted[0][1]).to.equal('[ipad] appium warn: something');
+  });
+
+  it('should add the device to event payloads', function(){
+    events.emit('driver:unhealthy', {component: 'appium'});
+    expect(emitted[0][1]).to.eql({deviceType: 'ipad', component: 'appium'});
+  });
+
+  it('should keep the device of lifecycle payloads', function(){
+    events.emit('driver:ios:ready', {device: 'iPad Simulator', port: 4724});
+    expect(emitted[0][1]).to.eql({deviceType: 'ipad', device: 'iPad Simulator', port: 4724});
+  });
+
+});
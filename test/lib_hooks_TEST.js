@@ -0,0 +1,83 @@
+'use strict';
+
+var expect = require('chai').expect;
+var UserHooks = require('../lib/hooks');
+var record = require('./fixtures/hooks/record');
+
+describe('dalek-browser-ios UserHooks', function() {
+  var context;
+
+  beforeEach(function(){
+    record.calls = [];
+    context = {host: 'localhost', port: 4723, webhookPort: 9003, capabilities: {deviceName: 'iPhone Simulator'}, pids: {appium: [11], simulator: [12, 13]}};
+  });
+
+  it('should tell modules & shell commands apart', function(){
+    var hooks = new UserHooks({}, {cwd: __dirname});
+    expect(hooks.isModule('./fixtures/hooks/record.js')).to.equal(true);
+    expect(hooks.isModule('sh ./hooks/setup.sh')).to.equal(false);
+    expect(hooks.isModule('node fixtures/hooks/record.js')).to.equal(false);
+    expect(hooks.isModule('./fixtures/hooks/missing.js')).to.equal(false);
+  });
+
+  it('should run a node command that ends with .js as a shell command', function(done){
+    var command = 'node -e "console.log(process.env.DALEK_HOOK)" fixtures/hooks/record.js';
+    new UserHooks({beforeLaunch: command}, {cwd: __dirname}).run('beforeLaunch', context).then(function (output) {
+      expect(output.trim()).to.equal('beforeLaunch');
+      expect(record.calls).to.eql([]);
+      done();
+    }).fail(done);
+  });
+
+  it('should resolve if the hook is not configured', function(done){
+    new UserHooks({}).run('beforeLaunch', context).then(function () {
+      done();
+    }).fail(done);
+  });
+
+  it('should call the function of a module with the context', function(done){
+    new UserHooks({beforeLaunch: 'fixtures/hooks/record.js'}, {cwd: __dirname}).run('beforeLaunch', context).then(function () {
+      expect(record.calls).to.have.length(1);
+      expect(record.calls[0].hook).to.equal('beforeLaunch');
+      expect(record.calls[0].pids.simulator).to.eql([12, 13]);
+      done();
+    }).fail(done);
+  });
+
+  it('should pass the context to shell commands', function(done){
+    var command = 'echo "$DALEK_HOOK $DALEK_HOOK_HOST:$DALEK_HOOK_PORT $DALEK_HOOK_WEBHOOK_PORT $DALEK_HOOK_PIDS"';
+    new UserHooks({afterKill: command}).run('afterKill', context).then(function (output) {
+      expect(output.trim()).to.equal('afterKill localhost:4723 9003 11,12,13');
+      done();
+    }).fail(done);
+  });
+
+  it('should reject with a HookError if a command fails', function(done){
+    new UserHooks({beforeKill: 'echo "no simulator" >&2; exit 3'}).run('beforeKill', context).then(function () {
+      done(new Error('the hook should have failed'));
+    }, function (err) {
+      expect(err.code).to.equal('E_HOOK');
+      expect(err.message).to.equal('dalek-browser-ios: The beforeKill hook "echo "no simulator" >&2; exit 3" failed (no simulator)');
+      done();
+    }).fail(done);
+  });
+
+  it('should reject if a module does not export a function', function(done){
+    new UserHooks({afterLaunch: 'fixtures/hooks/nofunction.js'}, {cwd: __dirname}).run('afterLaunch', context).then(function () {
+      done(new Error('the hook should have failed'));
+    }, function (err) {
+      expect(err.message).to.contain('the module does not export a function');
+      done();
+    }).fail(done);
+  });
+
+  it('should reject if a hook does not finish in time', function(done){
+    new UserHooks({beforeLaunch: 'sleep 5'}, {timeout: 50}).run('beforeLaunch', context).then(function () {
+      done(new Error('the hook should have failed'));
+    }, function (err) {
+      expect(err.message).to.contain('did not finish within 50ms');
+      done();
+    }).fail(done);
+  });
+
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+var fs = require('fs');
+var cp = require('child_process');
+var expect = require('chai').expect;
+var ProcessInspector = require('../lib/inspector');
+
+describe('dalek-browser-ios ProcessInspector', function() {
+
+  var fixture = function (name) {
+    return fs.readFileSync(__dirname + '/fixtures/ps/' + name + '.txt', 'utf8');
+  };
+
+  var recorded = function (name, options) {
+    options = options || {};
+    options.exec = function (command, callback) {
+      callback(null, fixture(name));
+    };
+    return new ProcessInspector(options);
+  };
+
+  it('should parse the lstart format of OS X', function(){
+    var records = recorded('darwin-lstart').parse(fixture('darwin-lstart'));
+    expect(records.length).to.equal(8);
+    expect(records[3].pid).to.equal(5123);
+    expect(records[3].ppid).to.equal(5001);
+    expect(records[3].command).to.contain('iPhone Simulator.app/Contents/MacOS/iPhone Simulator -SimulateDevice iPad');
+    expect(records[3].started.getFullYear()).to.equal(2014);
+  });
+
+  it('should parse the ax format of OS X & Linux', function(){
+    var darwin = recorded('darwin-ax').parse(fixture('darwin-ax'));
+    var linux = recorded('linux-ax').parse(fixture('linux-ax'));
+    expect(darwin[2]).to.eql({pid: 5123, ppid: null, command: darwin[2].command, started: null});
+    expect(darwin[3].command).to.equal('grep iPhone Simulator.app');
+    expect(linux[1].pid).to.equal(5123);
+    expect(linux[2].command).to.equal('grep iPhone Simulator.app');
+  });
+
+  it('should list all simulator versions, but not the tools', function(done){
+    recorded('darwin-lstart').pids().then(function (pids) {
+      expect(pids).to.eql([5123, 5200, 5250]);
+      done();
+    }).fail(done);
+  });
+
+  it('should use configurable process name patterns', function(done){
+    recorded('linux-lstart', {patterns: ['dalek test/']}).pids().then(function (pids) {
+      expect(pids).to.eql([5001]);
+      done();
+    }).fail(done);
+  });
+
+  it('should reject on unknown output formats', function(done){
+    new ProcessInspector({exec: function (command, callback) {
+      callback(null, 'USER PID\nroot 1\n');
+    }}).list().then(function () {
+      done(new Error('list should have been rejected'));
+    }, function (err) {
+      expect(err.message).to.contain('Unknown ps output format "USER PID"');
+      done();
+    });
+  });
+
+  it('should list processes on this machine', function(done){
+    var marker = 'dalek-inspector-' + process.pid;
+    var child = cp.spawn(process.execPath, ['-e', 'setInterval(function () {}, 1000);', marker]);
+
+    new ProcessInspector({patterns: [marker]}).list().then(function (records) {
+      child.kill();
+      expect(records.length).to.equal(1);
+      expect(records[0].pid).to.equal(child.pid);
+      expect(records[0].ppid).to.equal(process.pid);
+      expect(records[0].started).to.be.an.instanceof(Date);
+      done();
+    }).fail(done);
+  });
+
+});
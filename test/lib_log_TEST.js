@@ -0,0 +1,68 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = require('chai').expect;
+var AppiumLog = require('../lib/log');
+
+describe('dalek-browser-ios AppiumLog', function() {
+  var messages;
+  var events = {emit: function (event, message) {
+    messages.push([event, message]);
+  }};
+
+  beforeEach(function(){
+    messages = [];
+  });
+
+  it('should parse the level of colored log lines', function(){
+    var log = new AppiumLog(events);
+    expect(log.parse('\u001b[36minfo\u001b[39m: Welcome to Appium')).to.eql({level: 'info', message: 'Welcome to Appium'});
+    expect(log.parse('\u001b[33mwarn\u001b[39m  - socket.io warning')).to.eql({level: 'warn', message: 'socket.io warning'});
+  });
+
+  it('should use the fallback level for lines without a level', function(){
+    var log = new AppiumLog(events);
+    expect(log.parse('something broke', 'error')).to.eql({level: 'error', message: 'something broke'});
+  });
+
+  it('should only forward entries that match the minimum level', function(){
+    var log = new AppiumLog(events, {level: 'warn'});
+    log.line('debug: foo').line('info: bar').line('warn: baz').entry('error', 'qux');
+    expect(messages).to.eql([
+      ['report:log:browser', 'appium warn: baz'],
+      ['report:log:browser', 'appium error: qux']
+    ]);
+  });
+
+  it('should write all entries to the log file', function(done){
+    var file = path.join(os.tmpdir(), 'dalek-browser-ios-log-' + process.pid + '.log');
+    var log = new AppiumLog(events, {level: 'error', file: file});
+    log.line('debug: foo').line('info: bar');
+    log.close().then(function () {
+      var contents = fs.readFileSync(file, 'utf8');
+      fs.unlinkSync(file);
+      expect(contents).to.contain('debug: foo');
+      expect(contents).to.contain('info: bar');
+      expect(messages).to.eql([]);
+      done();
+    }).fail(done);
+  });
+
+  it('should report a log file that can not be written & keep logging', function(done){
+    var file = path.join(os.tmpdir(), 'dalek-browser-ios-missing-' + process.pid, 'appium.log');
+    var log = new AppiumLog(events, {level: 'info', file: file});
+    log.stream.on('error', function () {
+      log.line('info: bar');
+      expect(log.stream).to.equal(null);
+      expect(messages[0][0]).to.equal('report:log:system');
+      expect(messages[0][1]).to.contain('dalek-browser-ios: Could not write the Appium log to ' + file);
+      expect(messages[1]).to.eql(['report:log:browser', 'appium info: bar']);
+      log.close().then(function () {
+        done();
+      }).fail(done);
+    });
+  });
+
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = require('chai').expect;
+var Metrics = require('../lib/metrics');
+
+describe('dalek-browser-ios Metrics', function() {
+  var time = 0;
+  var now = function () { return time; };
+
+  it('should measure the duration of a phase', function(){
+    var metrics = new Metrics({now: now});
+    time = 100;
+    metrics.start('appiumBoot');
+    time = 350;
+    expect(metrics.stop('appiumBoot')).to.equal(250);
+    expect(metrics.timings).to.eql({appiumBoot: 250});
+  });
+
+  it('should ignore phases that never started', function(){
+    expect(new Metrics({now: now}).stop('shutdown')).to.equal(null);
+  });
+
+  it('should write the timings & details to the metrics file', function(done){
+    var file = path.join(os.tmpdir(), 'dalek-browser-ios-metrics-test-' + process.pid + '.json');
+    var metrics = new Metrics({file: file, now: now});
+    time = 0;
+    metrics.start('portScan');
+    time = 12;
+    metrics.stop('portScan');
+
+    metrics.write({port: 4723}).then(function () {
+      var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      fs.unlinkSync(file);
+      expect(data).to.eql({port: 4723, timings: {portScan: 12}});
+      done();
+    }).fail(done);
+  });
+
+  it('should not write anything without a metrics file', function(done){
+    new Metrics().write({port: 4723}).then(function () {
+      done();
+    }).fail(done);
+  });
+
+});
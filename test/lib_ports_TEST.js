@@ -0,0 +1,139 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var expect = require('chai').expect;
+var PortAllocator = require('../lib/ports');
+
+describe('dalek-browser-ios PortAllocator', function() {
+  var lockDir = path.join(os.tmpdir(), 'dalek-browser-ios-ports-test-' + process.pid);
+  var allocators;
+
+  var create = function () {
+    var allocator = new PortAllocator({host: 'localhost', lockDir: lockDir});
+    allocators.push(allocator);
+    return allocator;
+  };
+
+  beforeEach(function(){
+    allocators = [];
+  });
+
+  afterEach(function(){
+    allocators.forEach(function (allocator) {
+      allocator.release();
+    });
+  });
+
+  after(function(){
+    fs.rmdirSync(lockDir);
+  });
+
+  it('should hand out an appium & a webhook port', function(done){
+    create().allocate([14723, 14730], [19003, 19010]).then(function (ports) {
+      expect(ports).to.eql({port: 14723, webhookPort: 19003});
+      expect(fs.existsSync(path.join(lockDir, '14723.lock'))).to.equal(true);
+      done();
+    }).fail(done);
+  });
+
+  it('should never hand out the same port twice, even if the ranges overlap', function(done){
+    create().allocate([14723, 14730], [14723, 14730]).then(function (ports) {
+      expect(ports).to.eql({port: 14723, webhookPort: 14724});
+      return create().allocate([14723, 14730], [14723, 14730]);
+    }).then(function (ports) {
+      expect(ports).to.eql({port: 14725, webhookPort: 14726});
+      done();
+    }).fail(done);
+  });
+
+  it('should skip ports that are in use', function(done){
+    var server = http.createServer().listen(14723, 'localhost', function () {
+      create().allocate([14723, 14730], [19003, 19010]).then(function (ports) {
+        server.close();
+        expect(ports.port).to.equal(14724);
+        done();
+      }).fail(done);
+    });
+  });
+
+  it('should take over lock files of processes that are gone', function(done){
+    fs.writeFileSync(path.join(lockDir, '14723.lock'), '999999');
+    create().allocate([14723, 14730], [19003, 19010]).then(function (ports) {
+      expect(ports.port).to.equal(14723);
+      done();
+    }).fail(done);
+  });
+
+  it('should not take over a lock that another run took over first', function(done){
+    var late = create();
+    var isStale = late._isStale;
+    fs.writeFileSync(path.join(lockDir, '14723.lock'), '999999');
+
+    // the late run saw the stale lock, before the first one took it over
+    late._isStale = function () {
+      late._isStale = isStale;
+      return true;
+    };
+
+    create().allocate([14723, 14730], [19003, 19010]).then(function (ports) {
+      expect(ports.port).to.equal(14723);
+      expect(late._lock(14723)).to.equal(false);
+      expect(late.locks).to.eql([]);
+      expect(fs.readFileSync(path.join(lockDir, '14723.lock'), 'utf8')).to.equal(String(process.pid));
+      expect(fs.readdirSync(lockDir).sort()).to.eql(['14723.lock', '19003.lock']);
+      done();
+    }).fail(done);
+  });
+
+  it('should reject with a PortExhaustedError & release its locks', function(done){
+    create().allocate([14723, 14723], [14723, 14723]).then(function () {
+      done(new Error('allocate should have been rejected'));
+    }, function (err) {
+      expect(err.code).to.equal('E_PORT_EXHAUSTED');
+      expect(err.message).to.contain('No free webhook port between 14723 and 14723');
+      expect(fs.existsSync(path.join(lockDir, '14723.lock'))).to.equal(false);
+      done();
+    }).fail(done);
+  });
+
+  it('should create a nested lock directory', function(done){
+    var nested = path.join(lockDir + '-nested', 'dalek', 'ports');
+    var allocator = new PortAllocator({host: 'localhost', lockDir: nested});
+
+    allocator.allocate([14723, 14730], [19003, 19010]).then(function (ports) {
+      expect(ports).to.eql({port: 14723, webhookPort: 19003});
+      allocator.release();
+      fs.rmdirSync(nested);
+      fs.rmdirSync(path.dirname(nested));
+      fs.rmdirSync(lockDir + '-nested');
+      done();
+    }).fail(done);
+  });
+
+  it('should reject with a ConfigurationError if the lock directory can not be created', function(done){
+    var file = lockDir + '-file';
+    fs.writeFileSync(file, '');
+
+    new PortAllocator({host: 'localhost', lockDir: path.join(file, 'ports')}).allocate([14723, 14730], [19003, 19010]).then(function () {
+      done(new Error('allocate should have been rejected'));
+    }, function (err) {
+      fs.unlinkSync(file);
+      expect(err.code).to.equal('E_CONFIGURATION');
+      expect(err.message).to.contain('Could not create the port lock directory');
+      done();
+    }).fail(done);
+  });
+
+  it('should remove its lock files on release', function(done){
+    var allocator = create();
+    allocator.allocate([14723, 14730], [19003, 19010]).then(function () {
+      allocator.release();
+      expect(fs.readdirSync(lockDir)).to.eql([]);
+      done();
+    }).fail(done);
+  });
+
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+var expect = require('chai').expect;
+var profiles = require('../lib/profiles');
+
+describe('dalek-browser-ios Profiles', function() {
+
+  it('should resolve the default profile', function(){
+    var profile = profiles.resolve();
+    expect(profile.name).to.equal('iphone');
+    expect(profile.deviceName).to.equal('iPhone Simulator');
+    expect(profile.version).to.equal('latest');
+  });
+
+  it('should resolve built in profiles case insensitive', function(){
+    var profile = profiles.resolve('iPadAir');
+    expect(profile.device).to.equal('ipad');
+    expect(profile.deviceName).to.equal('iPad Air');
+    expect(profile.orientation).to.equal('portrait');
+  });
+
+  it('should extend built in profiles with user defined ones', function(){
+    var profile = profiles.resolve('ipadair', {ipadair: {orientation: 'landscape'}});
+    expect(profile.deviceName).to.equal('iPad Air');
+    expect(profile.orientation).to.equal('landscape');
+  });
+
+  it('should resolve user defined profiles', function(){
+    var profile = profiles.resolve('tablet', {tablet: {device: 'ipad', locale: 'de_DE', language: 'de'}});
+    expect(profile.deviceName).to.equal('iPad Simulator');
+    expect(profile.locale).to.equal('de_DE');
+  });
+
+  it('should return null for unknown profiles', function(){
+    expect(profiles.resolve('nokia3310')).to.equal(null);
+  });
+
+  it('should map a profile to desired capabilities & appium arguments', function(){
+    var profile = profiles.resolve('ipadretina');
+    var capabilities = profiles.capabilities(profile, {app: 'safari'});
+    var appiumArgs = profiles.appiumArgs(profile, {forceIphone: true, forceIpad: false});
+
+    expect(capabilities.app).to.equal('safari');
+    expect(capabilities.deviceName).to.equal('iPad Retina');
+    expect(capabilities.platformVersion).to.equal('7.1');
+    expect(capabilities.orientation).to.equal('PORTRAIT');
+    expect(appiumArgs).to.eql({forceIphone: false, forceIpad: true, orientation: 'PORTRAIT'});
+  });
+
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+var http = require('http');
+var expect = require('chai').expect;
+var Readiness = require('../lib/readiness');
+
+describe('dalek-browser-ios Readiness', function() {
+  var server, port, requests, failures, messages, hang;
+  var events = {emit: function (type, message) { messages.push(message); }};
+
+  var probe = function (options) {
+    options.events = events;
+    options.interval = options.interval || 10;
+    options.timeout = options.timeout || 1000;
+    return new Readiness({host: 'localhost', port: port, path: '/wd/hub'}, options);
+  };
+
+  beforeEach(function(done){
+    requests = [];
+    failures = 0;
+    messages = [];
+    hang = false;
+    server = http.createServer(function (req, res) {
+      requests.push(req.method + ' ' + req.url);
+      if (hang) {
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      if (failures > 0) {
+        failures--;
+        res.statusCode = 503;
+        return res.end();
+      }
+      if (req.method === 'GET' && req.url === '/wd/hub/status') {
+        return res.end(JSON.stringify({status: 0, value: {}}));
+      }
+      if (req.method === 'POST' && req.url === '/wd/hub/session') {
+        return res.end(JSON.stringify({status: 0, sessionId: 'probe', value: {}}));
+      }
+      res.end(JSON.stringify({status: 0, value: null}));
+    });
+    server.listen(0, 'localhost', function () {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterEach(function(done){
+    server.close(done);
+  });
+
+  it('should poll the status until the server is ready', function(done){
+    failures = 2;
+    probe({}).wait().then(function () {
+      expect(requests).to.eql(['GET /wd/hub/status', 'GET /wd/hub/status', 'GET /wd/hub/status']);
+      expect(messages[messages.length - 1]).to.contain('Mobile Safari is ready');
+      done();
+    }).fail(done);
+  });
+
+  it('should open & close a throwaway session', function(done){
+    probe({session: true, desiredCapabilities: {device: 'iphone'}}).wait().then(function () {
+      expect(requests).to.eql(['GET /wd/hub/status', 'POST /wd/hub/session', 'DELETE /wd/hub/session/probe']);
+      done();
+    }).fail(done);
+  });
+
+  it('should reject with a LaunchTimeoutError after the deadline', function(done){
+    failures = Infinity;
+    probe({timeout: 50}).wait().then(function () {
+      done(new Error('probe should have been rejected'));
+    }, function (err) {
+      expect(err.code).to.equal('E_LAUNCH_TIMEOUT');
+      expect(err.message).to.contain('not ready within 50ms');
+      done();
+    }).fail(done);
+  });
+
+  it('should not wait longer than the deadline for a server that never answers', function(done){
+    var started = Date.now();
+    hang = true;
+    probe({timeout: 200}).wait().then(function () {
+      done(new Error('probe should have been rejected'));
+    }, function (err) {
+      expect(err.code).to.equal('E_LAUNCH_TIMEOUT');
+      expect(err.message).to.contain('No answer');
+      expect(Date.now() - started).to.be.below(1000);
+      done();
+    }).fail(done);
+  });
+
+});
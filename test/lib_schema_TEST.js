@@ -0,0 +1,51 @@
+'use strict';
+
+var expect = require('chai').expect;
+var schema = require('../lib/schema');
+
+describe('dalek-browser-ios Schema', function() {
+
+  it('should accept valid options', function(){
+    var result = schema.validate({
+      port: '5555',
+      webhookPortRange: [6200, 6220],
+      remote: {host: 'mac-mini.local', port: 4723, path: '/wd/hub'},
+      logLevel: 'info',
+      profiles: {tablet: {device: 'ipad', orientation: 'landscape'}}
+    });
+    expect(result).to.eql({errors: [], warnings: []});
+  });
+
+  it('should name the key of invalid values', function(){
+    var result = schema.validate({port: 'abc', logLevel: 'loud'});
+    expect(result.errors).to.eql([
+      'Invalid value "abc" for "browsers.ios.port": expected a port between 1 and 65535',
+      'Invalid value "loud" for "browsers.ios.logLevel": expected one of debug, info, warn, error'
+    ]);
+  });
+
+  it('should reject ranges where start is greater than end', function(){
+    var result = schema.validate({portRange: [9100, 9000]});
+    expect(result.errors).to.eql(['Invalid value [9100,9000] for "browsers.ios.portRange": start is greater than end']);
+  });
+
+  it('should reject overlapping appium & webhook ports', function(){
+    var result = schema.validate({portRange: [9000, 9010], webhookPort: 9005});
+    expect(result.errors[0]).to.contain('overlap');
+  });
+
+  it('should validate nested options', function(){
+    var result = schema.validate({profiles: {tablet: {orientation: 'upside-down'}}});
+    expect(result.errors[0]).to.contain('"browsers.ios.profiles.tablet.orientation"');
+  });
+
+  it('should warn about unknown options', function(){
+    var result = schema.validate({prot: 5555, remote: {hots: 'localhost'}});
+    expect(result.errors).to.eql([]);
+    expect(result.warnings).to.eql([
+      'Unknown option "browsers.ios.prot" will be ignored',
+      'Unknown option "browsers.ios.remote.hots" will be ignored'
+    ]);
+  });
+
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+var fs = require('fs');
+var Q = require('q');
+var expect = require('chai').expect;
+var sdk = require('../lib/sdk');
+
+describe('dalek-browser-ios Sdk', function() {
+
+  var fixture = function (name) {
+    return fs.readFileSync(__dirname + '/fixtures/xcode/' + name + '.txt', 'utf8');
+  };
+
+  it('should parse the output of xcodebuild -showsdks', function(){
+    expect(sdk.parseShowSdks(fixture('showsdks'))).to.eql(['7.1', '8.1']);
+  });
+
+  it('should parse the installed simctl runtimes', function(){
+    expect(sdk.parseRuntimes(fixture('simctl-runtimes'))).to.eql(['7.1', '8.1']);
+  });
+
+  it('should parse the simulators of instruments -s devices', function(){
+    expect(sdk.parseDevices(fixture('instruments-devices'))).to.eql(['6.1', '7.0', '7.0']);
+  });
+
+  it('should merge the detected versions, newest last', function(done){
+    var outputs = {
+      'xcodebuild -showsdks': fixture('showsdks'),
+      'instruments -s devices': fixture('instruments-devices')
+    };
+    var exec = function (command) {
+      return outputs[command] ? Q.resolve(outputs[command]) : Q.reject(new Error('command not found'));
+    };
+
+    sdk.detect(exec).then(function (versions) {
+      expect(versions).to.eql(['6.1', '7.0', '7.1', '8.1']);
+      done();
+    }).fail(done);
+  });
+
+  it('should sort versions numerically', function(){
+    expect(sdk.sort(['10.0', '7.1', '7.1.1', '8.0'])).to.eql(['7.1', '7.1.1', '8.0', '10.0']);
+  });
+
+  it('should resolve latest, major versions & exact versions', function(){
+    var available = ['6.1', '7.0', '7.1', '8.1'];
+    expect(sdk.resolve('latest', available)).to.equal('8.1');
+    expect(sdk.resolve(null, available)).to.equal('8.1');
+    expect(sdk.resolve('7.x', available)).to.equal('7.1');
+    expect(sdk.resolve('7', available)).to.equal('7.1');
+    expect(sdk.resolve('7.0', available)).to.equal('7.0');
+  });
+
+  it('should list the available versions if nothing matches', function(){
+    expect(function () {
+      sdk.resolve('9.x', ['7.1', '8.1']);
+    }).to.throw('iOS 9.x is not installed, available simulator SDKs: 7.1, 8.1');
+  });
+
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var cp = require('child_process');
+var path = require('path');
+var expect = require('chai').expect;
+var StateFile = require('../lib/state');
+var ProcessInspector = require('../lib/inspector');
+var IosDriver = require('../index');
+
+describe('dalek-browser-ios StateFile', function() {
+  var dir = path.join(os.tmpdir(), 'dalek-browser-ios-state-test-' + process.pid);
+  var stateFile;
+
+  var writeStale = function (owner, processes) {
+    fs.writeFileSync(path.join(dir, owner + '.json'), JSON.stringify({owner: owner, port: 4723, webhookPort: 9003, processes: processes}));
+  };
+
+  beforeEach(function(){
+    stateFile = new StateFile({dir: dir});
+  });
+
+  afterEach(function(){
+    fs.readdirSync(dir).forEach(function (file) {
+      fs.unlinkSync(path.join(dir, file));
+    });
+  });
+
+  after(function(){
+    fs.rmdirSync(dir);
+  });
+
+  it('should write the state of this run', function(){
+    stateFile.write({port: 4723, webhookPort: 9003, processes: [{pid: 42, command: 'appium'}]});
+    var state = JSON.parse(fs.readFileSync(path.join(dir, process.pid + '.json'), 'utf8'));
+    expect(state.owner).to.equal(process.pid);
+    expect(state.processes).to.eql([{pid: 42, command: 'appium'}]);
+  });
+
+  it('should only report states of runs that are gone as stale', function(){
+    stateFile.write({port: 4723, webhookPort: 9003, processes: []});
+    writeStale(999999, [{pid: 42, command: 'appium'}]);
+    var stale = stateFile.stale();
+    expect(stale.length).to.equal(1);
+    expect(stale[0].owner).to.equal(999999);
+    expect(stale[0].processes).to.eql([{pid: 42, command: 'appium'}]);
+  });
+
+  it('should remove the state file of this run', function(){
+    stateFile.write({port: 4723, webhookPort: 9003, processes: []}).remove();
+    expect(fs.readdirSync(dir)).to.eql([]);
+  });
+
+  it('should kill the processes a crashed run left behind', function(done){
+    var marker = 'dalek-orphan-' + process.pid;
+    var child = cp.spawn(process.execPath, ['-e', 'setInterval(function () {}, 1000);', marker]);
+    var processTable = new ProcessInspector({patterns: [/./]});
+
+    new ProcessInspector({patterns: [marker]}).list().then(function (records) {
+      writeStale(999999, [{pid: child.pid, command: records[0].command}, {pid: 999998, command: 'gone'}]);
+
+      IosDriver.backendType = 'inprocess';
+      IosDriver.reporterEvents = {emit: function () {}};
+      IosDriver.stateFile = stateFile;
+      IosDriver.processTable = processTable;
+      IosDriver.killGracePeriod = 1000;
+      return IosDriver._recoverOrphans();
+    }).then(function () {
+      expect(child.signalCode).to.equal('SIGTERM');
+      expect(stateFile.stale()).to.eql([]);
+      IosDriver.killGracePeriod = 5000;
+      done();
+    }).fail(done);
+  });
+
+});
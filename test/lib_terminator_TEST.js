@@ -0,0 +1,49 @@
+'use strict';
+
+var cp = require('child_process');
+var expect = require('chai').expect;
+var terminator = require('../lib/terminator');
+
+describe('dalek-browser-ios Terminator', function() {
+
+  var spawn = function (script) {
+    return cp.spawn(process.execPath, ['-e', script], {stdio: ['ignore', 'pipe', 'ignore']});
+  };
+
+  it('should terminate processes with a SIGTERM', function(done){
+    var child = spawn('setInterval(function () {}, 1000);');
+    var signal = null;
+    child.on('exit', function (code, sig) {
+      signal = sig;
+    });
+
+    terminator.terminate([child.pid], 2000).then(function () {
+      expect(terminator.isAlive(child.pid)).to.equal(false);
+      expect(signal).to.equal('SIGTERM');
+      done();
+    }).fail(done);
+  });
+
+  it('should send a SIGKILL to processes that survive the grace period', function(done){
+    var child = spawn('process.on("SIGTERM", function () {}); console.log("ready"); setInterval(function () {}, 1000);');
+    var signal = null;
+    child.on('exit', function (code, sig) {
+      signal = sig;
+    });
+
+    child.stdout.once('data', function () {
+      terminator.terminate([child.pid], 200).then(function () {
+        expect(signal).to.equal('SIGKILL');
+        done();
+      }).fail(done);
+    });
+  });
+
+  it('should resolve if the processes are already gone', function(done){
+    var child = spawn('');
+    child.on('exit', function () {
+      terminator.terminate([child.pid], 200).then(done.bind(null, null), done);
+    });
+  });
+
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+var http = require('http');
+var Q = require('q');
+var expect = require('chai').expect;
+var Watchdog = require('../lib/watchdog');
+
+describe('dalek-browser-ios Watchdog', function() {
+  var server, port, sessions, hang;
+
+  var watchdog = function (options) {
+    return new Watchdog({host: 'localhost', port: port, path: '/wd/hub'}, options);
+  };
+
+  beforeEach(function(done){
+    sessions = [];
+    hang = false;
+    server = http.createServer(function (req, res) {
+      if (hang) {
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/wd/hub/sessions') {
+        return res.end(JSON.stringify({status: 0, value: sessions}));
+      }
+      res.end(JSON.stringify({status: 0, value: {}}));
+    });
+    server.listen(0, 'localhost', function () {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterEach(function(done){
+    server.close(done);
+  });
+
+  it('should find nothing wrong with a running stack', function(done){
+    sessions = [{id: 'a'}];
+    watchdog({processes: function () { return Q.resolve([42]); }}).check().then(function (diagnosis) {
+      expect(diagnosis).to.equal(null);
+      done();
+    }).fail(done);
+  });
+
+  it('should diagnose a dead simulator while a session is open', function(done){
+    sessions = [{id: 'a'}];
+    watchdog({processes: function () { return Q.resolve([]); }}).check().then(function (diagnosis) {
+      expect(diagnosis.component).to.equal('simulator');
+      expect(diagnosis.message).to.contain('1 open session(s)');
+      done();
+    }).fail(done);
+  });
+
+  it('should not miss the simulator without an open session', function(done){
+    watchdog({processes: function () { return Q.resolve([]); }}).check().then(function (diagnosis) {
+      expect(diagnosis).to.equal(null);
+      done();
+    }).fail(done);
+  });
+
+  it('should report an unresponsive appium server once', function(done){
+    var reports = [];
+    server.close(function () {
+      var dog = watchdog({interval: 10, onUnhealthy: function (diagnosis) { reports.push(diagnosis); }});
+      dog.start();
+      setTimeout(function () {
+        expect(reports).to.have.length(1);
+        expect(reports[0].component).to.equal('appium');
+        expect(dog.timer).to.equal(null);
+        server.listen(0, done);
+      }, 200);
+    });
+  });
+
+  it('should report an appium server that does not answer within the interval', function(done){
+    var reports = [];
+    var dog = watchdog({interval: 20, onUnhealthy: function (diagnosis) { reports.push(diagnosis); }});
+    hang = true;
+    dog.start();
+    setTimeout(function () {
+      expect(reports).to.have.length(1);
+      expect(reports[0].component).to.equal('appium');
+      expect(reports[0].message).to.contain('No answer from');
+      expect(dog.busy).to.equal(false);
+      done();
+    }, 200);
+  });
+
+});
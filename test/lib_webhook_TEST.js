@@ -0,0 +1,57 @@
+'use strict';
+
+var http = require('http');
+var expect = require('chai').expect;
+var WebhookServer = require('../lib/webhook');
+
+describe('dalek-browser-ios WebhookServer', function() {
+  var entries, messages, webhook, port;
+
+  var post = function (body, callback) {
+    var req = http.request({host: 'localhost', port: port, path: '/', method: 'POST'}, function (res) {
+      res.resume();
+      res.on('end', callback.bind(null, res.statusCode));
+    });
+    req.end(body);
+  };
+
+  beforeEach(function(done){
+    entries = [];
+    messages = [];
+    webhook = new WebhookServer({entry: function (level, message) {
+      entries.push([level, message]);
+    }}, {emit: function (event, message) {
+      messages.push([event, message]);
+    }});
+    webhook.start('localhost', 0).then(function () {
+      port = webhook.server.address().port;
+      done();
+    }).fail(done);
+  });
+
+  afterEach(function(done){
+    webhook.stop().then(done.bind(null, null), done);
+  });
+
+  it('should log the entries appium posts', function(done){
+    post(JSON.stringify({method: 'log', params: {level: 'warn', msg: 'No app set', meta: {}}}), function (statusCode) {
+      expect(statusCode).to.equal(200);
+      expect(entries).to.eql([['warn', 'No app set']]);
+      done();
+    });
+  });
+
+  it('should answer invalid payloads with a bad request', function(done){
+    post('{no json', function (statusCode) {
+      expect(statusCode).to.equal(400);
+      expect(entries).to.eql([]);
+      done();
+    });
+  });
+
+  it('should report server errors once it is listening', function(){
+    webhook.server.emit('error', new Error('EMFILE'));
+    expect(messages).to.eql([['report:log:system', 'dalek-browser-ios: Webhook server error: EMFILE']]);
+  });
+
+});